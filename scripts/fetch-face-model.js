@@ -0,0 +1,89 @@
+/**
+ * Fetch Face Model
+ * Downloads MediaPipe's face landmarker model into models/, so the Face
+ * room can serve it from our own origin (see mediapipeAssets.js). Runs
+ * before every build (`prebuild`); does nothing if the model is already
+ * there and matches the pin.
+ *
+ * The download must match the SHA-256 committed in
+ * models/face_landmarker.task.sha256; nothing is saved otherwise. To move to
+ * Without a committed pin it only warns and the build leaves the model out,
+ * unless REQUIRE_FACE_MODEL=1. To pin a model, or move to a new one, check
+ * it, then re-pin on purpose and commit the pin:
+ *
+ *   npm run fetch-face-model -- --pin
+ *
+ * Run: npm run fetch-face-model
+ */
+
+/* global process, Buffer */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import path from "path";
+
+import {
+  FACE_MODEL_FILE,
+  FACE_MODEL_PIN,
+  REQUIRE_FACE_MODEL,
+  SKIP_FACE_MODEL,
+  readModelPin,
+  sha256,
+} from "./mediapipeAssets.js";
+
+// float16, version 1: the model the Face room's landmark indices are for
+const MODEL_URL =
+  "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task";
+
+const repin = process.argv.includes("--pin");
+
+if (SKIP_FACE_MODEL && !repin) {
+  console.log("[Model] SKIP_FACE_MODEL=1: building without the face model");
+  process.exit(0);
+}
+
+const pin = readModelPin();
+if (!pin && !repin) {
+  const message = `[Model] No valid SHA-256 in ${FACE_MODEL_PIN}. Commit the model's pin (npm run fetch-face-model -- --pin on a trusted machine) to include the Face room's model.`;
+  if (REQUIRE_FACE_MODEL) {
+    console.error(`${message} REQUIRE_FACE_MODEL=1: stopping.`);
+    process.exit(1);
+  }
+  console.warn(`${message} Building without it.`);
+  process.exit(0);
+}
+
+// Already fetched and still the pinned file: nothing to do
+if (
+  !repin &&
+  existsSync(FACE_MODEL_FILE) &&
+  sha256(readFileSync(FACE_MODEL_FILE)) === pin
+) {
+  console.log(`[Model] ${FACE_MODEL_FILE} matches the pin`);
+  process.exit(0);
+}
+
+let body;
+try {
+  const res = await fetch(MODEL_URL);
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+  body = Buffer.from(await res.arrayBuffer());
+} catch (err) {
+  console.error(`[Model] Download failed (${MODEL_URL}): ${err.message}`);
+  process.exit(1);
+}
+const hash = sha256(body);
+
+if (repin) {
+  mkdirSync(path.dirname(FACE_MODEL_PIN), { recursive: true });
+  writeFileSync(FACE_MODEL_PIN, `${hash}\n`);
+  console.log(`[Model] Pinned SHA-256 ${hash} in ${FACE_MODEL_PIN}; commit it`);
+} else if (hash !== pin) {
+  console.error(
+    `[Model] SHA-256 mismatch: expected ${pin}, got ${hash}. Not saved.`
+  );
+  process.exit(1);
+}
+
+mkdirSync(path.dirname(FACE_MODEL_FILE), { recursive: true });
+writeFileSync(FACE_MODEL_FILE, body);
+console.log(`[Model] Saved ${FACE_MODEL_FILE} (${body.length} bytes)`);
@@ -0,0 +1,222 @@
+/**
+ * MediaPipe Assets (Vite plugin)
+ * Serves the Face room's MediaPipe files from our own origin instead of
+ * public CDNs: the @mediapipe/tasks-vision WASM (from node_modules) and the
+ * face landmarker model (models/face_landmarker.task, fetched and checked
+ * against the committed pin by `npm run fetch-face-model`, also run before
+ * every build).
+ *
+ * Files are served under /mediapipe/<package version>/ (the model under a
+ * name carrying its hash), in dev and in the build. Their SHA-256 and size
+ * are exported by the virtual module "virtual:mediapipe-assets", so the
+ * browser can check what it downloaded before running it. The model's hash
+ * is the pinned one, not one computed from the file being served; the WASM
+ * hashes are of the installed package, which npm checked against
+ * package-lock.json.
+ *
+ * Without a pin (none committed yet) a build only warns and leaves the model
+ * out, unless REQUIRE_FACE_MODEL=1. With a pin, a build fails without a model
+ * matching it, unless SKIP_FACE_MODEL=1. Without the model the Face room says
+ * it is not installed. Dev only warns.
+ */
+
+/* global process */
+
+import { createHash } from "crypto";
+import { existsSync, readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import path from "path";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PACKAGE_DIR = path.join(
+  ROOT,
+  "node_modules",
+  "@mediapipe",
+  "tasks-vision"
+);
+
+export const FACE_MODEL_FILE = path.join(
+  ROOT,
+  "models",
+  "face_landmarker.task"
+);
+// SHA-256 the model must have (committed; see fetch-face-model.js)
+export const FACE_MODEL_PIN = `${FACE_MODEL_FILE}.sha256`;
+
+// Build without the Face room's model (it then reports it is not installed)
+export const SKIP_FACE_MODEL = process.env.SKIP_FACE_MODEL === "1";
+// Fail the build when no pin is committed, instead of leaving the model out
+export const REQUIRE_FACE_MODEL = process.env.REQUIRE_FACE_MODEL === "1";
+
+const VIRTUAL_ID = "virtual:mediapipe-assets";
+const RESOLVED_VIRTUAL_ID = `\0${VIRTUAL_ID}`;
+
+// Loader script + binary, with and without SIMD (picked at runtime)
+const WASM_VARIANTS = {
+  simd: "vision_wasm_internal",
+  nosimd: "vision_wasm_nosimd_internal",
+};
+
+const CONTENT_TYPES = {
+  ".js": "text/javascript",
+  ".wasm": "application/wasm",
+  ".task": "application/octet-stream",
+};
+
+export function sha256(buffer) {
+  return createHash("sha256").update(buffer).digest("hex");
+}
+
+// Pinned model hash, or null if there is no (valid) pin file
+export function readModelPin() {
+  if (!existsSync(FACE_MODEL_PIN)) return null;
+  const pin = readFileSync(FACE_MODEL_PIN, "utf8").trim();
+  return /^[0-9a-f]{64}$/.test(pin) ? pin : null;
+}
+
+function describeFile(file, urlPath) {
+  const body = readFileSync(file);
+  return { file, urlPath, sha256: sha256(body), bytes: body.length };
+}
+
+// Every asset to serve, keyed by URL path (relative to the app base).
+// `missing` reports an absent model or pin (warning in dev, error in builds);
+// an absent pin only warns unless REQUIRE_FACE_MODEL=1.
+function collectAssets(missing, fail, warn) {
+  const { version } = JSON.parse(
+    readFileSync(path.join(PACKAGE_DIR, "package.json"), "utf8")
+  );
+  const wasm = {};
+  Object.entries(WASM_VARIANTS).forEach(([variant, name]) => {
+    const dir = `mediapipe/${version}/wasm`;
+    wasm[variant] = {
+      loader: describeFile(
+        path.join(PACKAGE_DIR, "wasm", `${name}.js`),
+        `${dir}/${name}.js`
+      ),
+      binary: describeFile(
+        path.join(PACKAGE_DIR, "wasm", `${name}.wasm`),
+        `${dir}/${name}.wasm`
+      ),
+    };
+  });
+
+  const pin = readModelPin();
+  if (SKIP_FACE_MODEL) return { version, wasm, model: null };
+  if (!pin) {
+    (REQUIRE_FACE_MODEL ? missing : warn)(
+      `No valid SHA-256 in ${FACE_MODEL_PIN}; leaving out the Face room's model, which can't be verified (commit its pin to include it)`
+    );
+    return { version, wasm, model: null };
+  }
+  if (!existsSync(FACE_MODEL_FILE)) {
+    missing(
+      `Face model missing (${FACE_MODEL_FILE}); run "npm run fetch-face-model" (or set SKIP_FACE_MODEL=1 to build without it)`
+    );
+    return { version, wasm, model: null };
+  }
+
+  const body = readFileSync(FACE_MODEL_FILE);
+  const hash = sha256(body);
+  if (hash !== pin) {
+    fail(
+      `Face model does not match ${FACE_MODEL_PIN} (expected ${pin}, got ${hash})`
+    );
+  }
+  const model = {
+    file: FACE_MODEL_FILE,
+    urlPath: `mediapipe/models/face_landmarker-${pin.slice(0, 12)}.task`,
+    sha256: pin,
+    bytes: body.length,
+  };
+  return { version, wasm, model };
+}
+
+export function mediapipeAssets() {
+  let base = "/";
+  let isBuild = false;
+  let assets = null;
+  const byPath = new Map(); // urlPath -> asset
+
+  // What the app sees: URL, hash and size of each file
+  const forClient = (asset) =>
+    asset && {
+      url: `${base}${asset.urlPath}`,
+      sha256: asset.sha256,
+      bytes: asset.bytes,
+    };
+
+  return {
+    name: "mediapipe-assets",
+
+    configResolved(config) {
+      base = config.base;
+      isBuild = config.command === "build";
+    },
+
+    buildStart() {
+      assets = collectAssets(
+        (message) => (isBuild ? this.error(message) : this.warn(message)),
+        (message) => this.error(message),
+        (message) => this.warn(message)
+      );
+      byPath.clear();
+      Object.values(assets.wasm).forEach(({ loader, binary }) => {
+        byPath.set(loader.urlPath, loader);
+        byPath.set(binary.urlPath, binary);
+      });
+      if (assets.model) byPath.set(assets.model.urlPath, assets.model);
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_VIRTUAL_ID : null;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_VIRTUAL_ID) return null;
+      const wasm = {};
+      Object.entries(assets.wasm).forEach(([variant, files]) => {
+        wasm[variant] = {
+          loader: forClient(files.loader),
+          binary: forClient(files.binary),
+        };
+      });
+      return [
+        `export const MEDIAPIPE_VERSION = ${JSON.stringify(assets.version)};`,
+        `export const WASM_ASSETS = ${JSON.stringify(wasm)};`,
+        `export const FACE_MODEL_ASSET = ${JSON.stringify(forClient(assets.model))};`,
+      ].join("\n");
+    },
+
+    // Dev server: serve the files straight from disk
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const pathname = decodeURIComponent(req.url.split("?")[0]);
+        const asset = pathname.startsWith(base)
+          ? byPath.get(pathname.slice(base.length))
+          : null;
+        if (!asset) {
+          next();
+          return;
+        }
+        res.setHeader(
+          "Content-Type",
+          CONTENT_TYPES[path.extname(asset.file)] || "application/octet-stream"
+        );
+        res.setHeader("Content-Length", asset.bytes);
+        res.end(readFileSync(asset.file));
+      });
+    },
+
+    // Build: copy them into dist at the same paths
+    generateBundle() {
+      byPath.forEach((asset, urlPath) => {
+        this.emitFile({
+          type: "asset",
+          fileName: urlPath,
+          source: readFileSync(asset.file),
+        });
+      });
+    },
+  };
+}
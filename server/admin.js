@@ -0,0 +1,144 @@
+/**
+ * Researcher Admin
+ * Token auth for admin routes plus per-study activity tracking
+ * (room sequences, join/leave and canvas-clear feed) for the live dashboard.
+ */
+
+/* global process, Buffer */
+
+import { timingSafeEqual } from "crypto";
+
+// Shared secret for researchers (unset = admin features disabled)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+// Feed events kept per study (oldest dropped first)
+const MAX_ADMIN_EVENTS = 200;
+// Events included in a snapshot
+const SNAPSHOT_EVENTS = 50;
+// Participants out of every room are forgotten after this long
+const PARTICIPANT_TTL_MS = 30 * 60 * 1000;
+
+export function isAdminConfigured() {
+  return ADMIN_TOKEN.length > 0;
+}
+
+// Constant-time comparison against ADMIN_TOKEN
+export function isAdminToken(token) {
+  if (!isAdminConfigured() || typeof token !== "string") return false;
+  const given = Buffer.from(token);
+  const expected = Buffer.from(ADMIN_TOKEN);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// Token from "Authorization: Bearer <token>" (never the URL, which ends up
+// in access logs and browser history)
+export function getRequestToken(req) {
+  const header = req.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+}
+
+// Activity state stored on each study
+export function createActivityState() {
+  return {
+    participants: new Map(), // participantId -> { currentRoom, joinedAt, roomSequence, firstSeenAt, lastSeenAt }
+    events: [], // { type: "join" | "leave" | "clear", participantId, roomId, at }
+  };
+}
+
+function pushEvent(activity, event) {
+  activity.events.push(event);
+  if (activity.events.length > MAX_ADMIN_EVENTS) {
+    activity.events.splice(0, activity.events.length - MAX_ADMIN_EVENTS);
+  }
+}
+
+// Drop participants that have been out of every room for PARTICIPANT_TTL_MS
+function pruneParticipants(activity, now) {
+  activity.participants.forEach((p, participantId) => {
+    if (p.currentRoom === null && now - p.lastSeenAt > PARTICIPANT_TTL_MS) {
+      activity.participants.delete(participantId);
+    }
+  });
+}
+
+// Record a join/leave and return the event for broadcasting
+export function recordRoomEvent(activity, type, participantId, roomId) {
+  const at = Date.now();
+  pruneParticipants(activity, at);
+  let participant = activity.participants.get(participantId);
+  if (!participant) {
+    participant = {
+      currentRoom: null,
+      joinedAt: null,
+      roomSequence: [],
+      firstSeenAt: at,
+      lastSeenAt: at,
+    };
+    activity.participants.set(participantId, participant);
+  }
+  participant.lastSeenAt = at;
+
+  if (type === "join") {
+    participant.currentRoom = roomId;
+    participant.joinedAt = at;
+    participant.roomSequence.push(roomId);
+  } else if (participant.currentRoom === roomId) {
+    participant.currentRoom = null;
+    participant.joinedAt = null;
+  }
+
+  const event = { type, participantId, roomId, at };
+  pushEvent(activity, event);
+  return event;
+}
+
+// Record a Draw-room clear request and its outcome under the study's clear
+// policy (participantId null = researcher reset); returns the event
+export function recordClearEvent(
+  activity,
+  participantId,
+  policy,
+  outcome,
+  details = {}
+) {
+  const event = {
+    type: "clear",
+    participantId,
+    roomId: 4,
+    policy,
+    outcome, // "cleared" | "passed" | "rejected" | "expired" | "refused"
+    ...details,
+    at: Date.now(),
+  };
+  pushEvent(activity, event);
+  return event;
+}
+
+// Dashboard view of a study: occupancy, participants and recent events
+export function getAdminSnapshot(study) {
+  const rooms = {};
+  Object.entries(study.rooms).forEach(([roomId, room]) => {
+    rooms[roomId] = Array.from(room.entries()).map(([participantId, p]) => ({
+      participantId,
+      joinedAt: p.joinedAt,
+    }));
+  });
+
+  const participants = Array.from(study.activity.participants.entries()).map(
+    ([participantId, p]) => ({
+      participantId,
+      currentRoom: p.currentRoom,
+      joinedAt: p.joinedAt,
+      roomSequence: p.roomSequence,
+      firstSeenAt: p.firstSeenAt,
+    })
+  );
+
+  return {
+    studyId: study.id,
+    serverTime: Date.now(),
+    rooms,
+    participants,
+    events: study.activity.events.slice(-SNAPSHOT_EVENTS),
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * Clear Vote
+ * Majority vote among the Draw-room participants present when someone asks
+ * to clear the shared canvas (study clear policy "vote").
+ *
+ * Voters are fixed when the vote starts; anyone who leaves the room drops out
+ * (with their vote), so the majority is always of those still present.
+ * State only - timers and broadcasting live in index.js.
+ */
+
+import { randomUUID } from "crypto";
+
+// Votes still open after this long fail
+export const CLEAR_VOTE_MS = 30000;
+
+// New vote; the initiator counts as a yes
+export function startClearVote(initiatorId, voterIds) {
+  const now = Date.now();
+  const vote = {
+    id: randomUUID(),
+    initiatorId,
+    voters: new Set(voterIds),
+    votes: new Map(), // participantId -> approve (boolean)
+    startedAt: now,
+    endsAt: now + CLEAR_VOTE_MS,
+  };
+  vote.voters.add(initiatorId);
+  vote.votes.set(initiatorId, true);
+  return vote;
+}
+
+// Record a voter's choice (it can be changed); false if not a voter
+export function castClearVote(vote, participantId, approve) {
+  if (!vote.voters.has(participantId)) return false;
+  vote.votes.set(participantId, approve);
+  return true;
+}
+
+export function dropClearVoter(vote, participantId) {
+  vote.voters.delete(participantId);
+  vote.votes.delete(participantId);
+}
+
+function countVotes(vote) {
+  let yes = 0;
+  let no = 0;
+  vote.votes.forEach((approve) => (approve ? yes++ : no++));
+  return { yes, no, needed: Math.floor(vote.voters.size / 2) + 1 };
+}
+
+// "passed" once a majority said yes, "rejected" once one no longer can;
+// null while undecided
+export function getClearVoteOutcome(vote) {
+  const { yes, no, needed } = countVotes(vote);
+  if (yes >= needed) return "passed";
+  if (vote.voters.size - no < needed) return "rejected";
+  return null;
+}
+
+// Vote state as sent to the room
+export function describeClearVote(vote) {
+  return {
+    voteId: vote.id,
+    ...countVotes(vote),
+    voters: Array.from(vote.voters),
+    voted: Array.from(vote.votes.keys()),
+    endsAt: vote.endsAt,
+  };
+}
@@ -0,0 +1,13 @@
+/**
+ * Data Directory
+ * Root for everything the server writes to disk (session log, drawing state).
+ */
+
+/* global process */
+
+import { fileURLToPath } from "url";
+import path from "path";
+
+export const DATA_DIR =
+  process.env.DATA_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "data");
@@ -0,0 +1,165 @@
+/**
+ * Drawing Compaction
+ * Keeps the Draw-room history bounded without dropping strokes: older strokes
+ * are folded into a compacted vector layer (simplified + quantized points),
+ * while the most recent strokes stay verbatim.
+ *
+ * At the base tolerance the simplification deviates from the original by at
+ * most half a pixel, so a late joiner's canvas matches what everyone else
+ * sees. Only when the point budget is exhausted does the tolerance grow, and
+ * past the largest tolerance the oldest compacted strokes are baked into a
+ * raster layer under the rest (`state.baked`): their ink stays, but they can
+ * no longer be undone or erased one by one. Baking runs in a worker (see
+ * strokesToBake); until it lands the layer stays over budget.
+ *
+ * Strokes are normalized to a fixed 4:3 drawing space (points 0..1, widths in
+ * 1/1000 of its width); pixels here are drawing-space units. Older strokes
+ * carry CSS pixels of the canvas they were drawn on plus canvasW/canvasH.
+ */
+
+// Drawing space in pixels (must match Room6Drawing.jsx)
+export const DRAWING_SPACE = { width: 1000, height: 750 };
+
+// Recent strokes kept exactly as drawn
+export const DRAWING_TAIL_SIZE = 100;
+
+// Point budget for the compacted layer (bounds memory, disk and join payload)
+export const MAX_COMPACTED_POINTS = 60000;
+
+// Simplification tolerance in pixels
+const BASE_TOLERANCE = 0.5;
+const MAX_TOLERANCE = 4;
+
+// Baking frees the layer down to this many points, so it happens rarely
+const BAKE_TARGET_POINTS = MAX_COMPACTED_POINTS / 2;
+
+// Perpendicular distance from p to segment a-b
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lenSq = dx * dx + dy * dy;
+  if (lenSq === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+  const t = Math.max(
+    0,
+    Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lenSq)
+  );
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// Ramer–Douglas–Peucker (iterative, so long strokes can't overflow the stack)
+export function simplifyPoints(points, tolerance) {
+  if (points.length <= 2) return points.slice();
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let maxDist = 0;
+    let index = -1;
+    for (let i = start + 1; i < end; i++) {
+      const d = distanceToSegment(points[i], points[start], points[end]);
+      if (d > maxDist) {
+        maxDist = d;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDist > tolerance) {
+      keep[index] = 1;
+      stack.push([start, index], [index, end]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
+
+// Strokes from before the drawing space existed (CSS pixels)
+export function isLegacyStroke(stroke) {
+  return stroke.canvasW !== undefined;
+}
+
+// Round to 0.1 px: well below what a canvas can show, and ~halves JSON size
+function quantize(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// Compacted copy of a stroke (same identity, style and canvas size).
+// Simplified in pixels so x and y are judged alike, then stored back in the
+// stroke's own units. Stylus pressure survives, rounded to 0.01.
+export function compactStroke(stroke, tolerance = BASE_TOLERANCE) {
+  const legacy = isLegacyStroke(stroke);
+  const sx = legacy ? 1 : DRAWING_SPACE.width;
+  const sy = legacy ? 1 : DRAWING_SPACE.height;
+  const pixels = (stroke.points || []).map((p) => ({
+    ...p,
+    x: p.x * sx,
+    y: p.y * sy,
+  }));
+  const points = simplifyPoints(pixels, tolerance).map((p) => {
+    // Normalized: 1/10000 = 0.1 px of the drawing width
+    const x = legacy ? quantize(p.x) : Math.round((p.x / sx) * 10000) / 10000;
+    const y = legacy ? quantize(p.y) : Math.round((p.y / sy) * 10000) / 10000;
+    return p.p === undefined
+      ? { x, y }
+      : { x, y, p: Math.round(p.p * 100) / 100 };
+  });
+  return { ...stroke, points, compacted: true };
+}
+
+function countPoints(strokes) {
+  return strokes.reduce((sum, s) => sum + (s.points?.length || 0), 0);
+}
+
+/**
+ * Move strokes beyond the tail into the compacted layer (mutates state).
+ * If the layer exceeds its point budget it is re-simplified at a coarser
+ * tolerance, up to MAX_TOLERANCE.
+ */
+export function compactDrawing(state) {
+  if (state.strokes.length <= DRAWING_TAIL_SIZE) return;
+
+  const overflow = state.strokes.length - DRAWING_TAIL_SIZE;
+  const moved = state.strokes.slice(0, overflow);
+  state.strokes = state.strokes.slice(overflow);
+
+  state.compactTolerance = state.compactTolerance || BASE_TOLERANCE;
+  state.compacted.push(
+    ...moved.map((s) => compactStroke(s, state.compactTolerance))
+  );
+
+  while (
+    countPoints(state.compacted) > MAX_COMPACTED_POINTS &&
+    state.compactTolerance < MAX_TOLERANCE
+  ) {
+    state.compactTolerance = Math.min(
+      MAX_TOLERANCE,
+      state.compactTolerance * 2
+    );
+    state.compacted = state.compacted.map((s) =>
+      compactStroke(s, state.compactTolerance)
+    );
+    console.log(
+      `[Drawing] Compacted layer over budget, tolerance now ${state.compactTolerance}px`
+    );
+  }
+}
+
+/**
+ * Oldest compacted strokes to bake into the raster layer: none while the
+ * layer fits its budget, else enough to bring it down to BAKE_TARGET_POINTS.
+ * The caller renders them (bakeStrokes) off the main thread and applies the
+ * result as a "bake" operation.
+ */
+export function strokesToBake(state) {
+  let points = countPoints(state.compacted);
+  if (points <= MAX_COMPACTED_POINTS) return [];
+
+  let count = 0;
+  while (points > BAKE_TARGET_POINTS && count < state.compacted.length) {
+    points -= state.compacted[count].points.length;
+    count += 1;
+  }
+  return state.compacted.slice(0, count);
+}
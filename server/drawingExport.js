@@ -0,0 +1,365 @@
+/**
+ * Drawing Export
+ * Renders a study's Draw-room canvas (baked layer, then compacted layer +
+ * recent tail, in drawing order) to SVG or PNG so researchers can keep the
+ * artifact. Also bakes the oldest strokes into that layer (see
+ * drawingCompaction.js): a transparent RGBA PNG, stored base64.
+ *
+ * The export frame is the 4:3 drawing space; normalized strokes map onto it
+ * directly and older CSS-pixel strokes are scaled from the canvas they were
+ * drawn on, exactly as clients scale them. Eraser strokes remove ink drawn
+ * before them (a mask in SVG, destination-out in PNG) over white paper.
+ * Stylus strokes (points with pressure `p`) vary their width per segment.
+ */
+
+/* global Buffer */
+
+import { deflateSync, inflateSync } from "zlib";
+
+import { DRAWING_SPACE, isLegacyStroke } from "./drawingCompaction.js";
+
+// Same defaults as Room6Drawing.jsx
+const LINE_WIDTH = 3;
+const ERASER_WIDTH = 20;
+
+// Width multiplier for a stylus pressure (same as Room6Drawing.jsx)
+function pressureFactor(p) {
+  if (p === undefined) return 1;
+  return Math.min(2, Math.max(0.2, p * 2));
+}
+const COLOR_PATTERN = /^#[0-9a-fA-F]{3,8}$/;
+
+// Stroke in export-frame pixels
+function toFrame(stroke, frame) {
+  let scaleX = frame.width;
+  let scaleY = frame.height;
+  let wScale = frame.width / DRAWING_SPACE.width;
+  if (isLegacyStroke(stroke)) {
+    scaleX = stroke.canvasW ? frame.width / stroke.canvasW : 1;
+    scaleY = stroke.canvasH ? frame.height / stroke.canvasH : 1;
+    wScale = Math.min(scaleX, scaleY);
+  }
+  const isEraser = stroke.tool === "eraser";
+  const baseWidth = isEraser ? ERASER_WIDTH : stroke.width || LINE_WIDTH;
+  // A single point is a dot: a zero-length segment with round caps
+  const points =
+    stroke.points?.length === 1
+      ? [stroke.points[0], stroke.points[0]]
+      : stroke.points || [];
+  return {
+    isEraser,
+    color: COLOR_PATTERN.test(stroke.color || "") ? stroke.color : "#000000",
+    width: baseWidth * wScale,
+    points: points.map((p) => ({
+      x: p.x * scaleX,
+      y: p.y * scaleY,
+      p: p.p,
+    })),
+    hasPressure: points.some((p) => p.p !== undefined),
+  };
+}
+
+// Width of segment i-1 -> i
+function segmentWidth(s, i) {
+  if (!s.hasPressure) return s.width;
+  const a = s.points[i - 1].p ?? 0.5;
+  const b = s.points[i].p ?? 0.5;
+  return s.width * pressureFactor((a + b) / 2);
+}
+
+// ==================== SVG ====================
+
+function svgPath(points) {
+  return points
+    .map(
+      (p, i) => `${i === 0 ? "M" : "L"}${+p.x.toFixed(1)} ${+p.y.toFixed(1)}`
+    )
+    .join(" ");
+}
+
+// One <path> per stroke, or per segment when the width varies
+function svgStrokePaths(s, color, lineAttrs) {
+  if (!s.hasPressure) {
+    return `<path d="${svgPath(s.points)}" stroke="${color}" stroke-width="${+s.width.toFixed(2)}" ${lineAttrs}/>`;
+  }
+  let paths = "";
+  for (let i = 1; i < s.points.length; i++) {
+    const d = svgPath([s.points[i - 1], s.points[i]]);
+    paths += `<path d="${d}" stroke="${color}" stroke-width="${+segmentWidth(s, i).toFixed(2)}" ${lineAttrs}/>`;
+  }
+  return paths;
+}
+
+export function renderDrawingSvg(strokes, baked = null) {
+  const frame = DRAWING_SPACE;
+  const { width, height } = frame;
+  const lineAttrs =
+    'fill="none" stroke-linecap="round" stroke-linejoin="round"';
+
+  const masks = [];
+  // Baked strokes come first, as an image (later erasers still cut it)
+  let content = baked
+    ? `<image width="${width}" height="${height}" href="data:image/png;base64,${baked}"/>`
+    : "";
+  for (const stroke of strokes) {
+    const s = toFrame(stroke, frame);
+    if (s.points.length < 2) continue;
+
+    if (s.isEraser) {
+      // Everything drawn so far is seen through a mask with this path cut out
+      const id = `erase${masks.length}`;
+      masks.push(
+        `<mask id="${id}" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">` +
+          `<rect width="${width}" height="${height}" fill="#fff"/>` +
+          svgStrokePaths(s, "#000", lineAttrs) +
+          `</mask>`
+      );
+      content = `<g mask="url(#${id})">${content}</g>`;
+    } else {
+      content += svgStrokePaths(s, s.color, lineAttrs);
+    }
+  }
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    (masks.length > 0 ? `<defs>${masks.join("")}</defs>` : "") +
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>` +
+    content +
+    `</svg>\n`
+  );
+}
+
+// ==================== PNG ====================
+
+// "#rgb", "#rgba", "#rrggbb" or "#rrggbbaa" -> [r, g, b, a] in 0..1
+function parseColor(hex) {
+  let h = hex.slice(1);
+  if (h.length === 3 || h.length === 4) {
+    h = [...h].map((c) => c + c).join("");
+  }
+  const n = (i) => parseInt(h.slice(i, i + 2), 16) / 255;
+  return [n(0), n(2), n(4), h.length === 8 ? n(6) : 1];
+}
+
+function distanceToSegment(px, py, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lenSq = dx * dx + dy * dy;
+  const t =
+    lenSq === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / lenSq));
+  return Math.hypot(px - (a.x + t * dx), py - (a.y + t * dy));
+}
+
+// Antialiased coverage (0..1) of a round-capped polyline, per pixel of its
+// bounding box. Max over segments, so overlapping segments don't darken.
+function strokeCoverage(s, frame) {
+  // Bounding box uses the widest segment
+  let maxR = 0;
+  for (let i = 1; i < s.points.length; i++) {
+    maxR = Math.max(maxR, segmentWidth(s, i) / 2);
+  }
+  const xs = s.points.map((p) => p.x);
+  const ys = s.points.map((p) => p.y);
+  const x0 = Math.max(0, Math.floor(Math.min(...xs) - maxR - 1));
+  const y0 = Math.max(0, Math.floor(Math.min(...ys) - maxR - 1));
+  const x1 = Math.min(frame.width - 1, Math.ceil(Math.max(...xs) + maxR + 1));
+  const y1 = Math.min(frame.height - 1, Math.ceil(Math.max(...ys) + maxR + 1));
+  if (x1 < x0 || y1 < y0) return null;
+
+  const w = x1 - x0 + 1;
+  const cov = new Float32Array(w * (y1 - y0 + 1));
+
+  for (let i = 1; i < s.points.length; i++) {
+    const a = s.points[i - 1];
+    const b = s.points[i];
+    const r = segmentWidth(s, i) / 2;
+    const sx0 = Math.max(x0, Math.floor(Math.min(a.x, b.x) - r - 1));
+    const sy0 = Math.max(y0, Math.floor(Math.min(a.y, b.y) - r - 1));
+    const sx1 = Math.min(x1, Math.ceil(Math.max(a.x, b.x) + r + 1));
+    const sy1 = Math.min(y1, Math.ceil(Math.max(a.y, b.y) + r + 1));
+
+    for (let y = sy0; y <= sy1; y++) {
+      for (let x = sx0; x <= sx1; x++) {
+        const d = distanceToSegment(x + 0.5, y + 0.5, a, b);
+        const c = Math.min(1, r + 0.5 - d);
+        const idx = (y - y0) * w + (x - x0);
+        if (c > cov[idx]) cov[idx] = c;
+      }
+    }
+  }
+  return { cov, x0, y0, x1, y1, w };
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+// 8-bit PNG from a width*height*channels byte buffer (3 = RGB, 4 = RGBA)
+function encodePng(width, height, pixels, channels = 3) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = channels === 4 ? 6 : 2; // color type: RGBA or RGB
+  // compression, filter, interlace: 0
+
+  // Each scanline is prefixed with filter type 0 (none)
+  const stride = width * channels;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// Pixels of an RGBA PNG written by encodePng (unfiltered scanlines only)
+function decodePng(png) {
+  let width = 0;
+  let height = 0;
+  const idat = [];
+  for (let pos = PNG_SIGNATURE.length; pos < png.length;) {
+    const length = png.readUInt32BE(pos);
+    const type = png.toString("ascii", pos + 4, pos + 8);
+    const data = png.subarray(pos + 8, pos + 8 + length);
+    if (type === "IHDR") {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      if (data[8] !== 8 || data[9] !== 6) throw new Error("Not an RGBA PNG");
+    } else if (type === "IDAT") {
+      idat.push(data);
+    }
+    pos += length + 12;
+  }
+
+  const raw = inflateSync(Buffer.concat(idat));
+  const stride = width * 4;
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    if (raw[y * (stride + 1)] !== 0) throw new Error("Filtered PNG scanline");
+    raw.copy(pixels, y * stride, y * (stride + 1) + 1, (y + 1) * (stride + 1));
+  }
+  return { width, height, pixels };
+}
+
+// Premultiplied RGBA ink layer of the drawing space, starting from a baked
+// layer if there is one
+function inkLayer(baked) {
+  const { width, height } = DRAWING_SPACE;
+  const layer = new Float32Array(width * height * 4);
+  if (!baked) return layer;
+
+  const image = decodePng(Buffer.from(baked, "base64"));
+  if (image.width !== width || image.height !== height) {
+    throw new Error("Baked layer does not match the drawing space");
+  }
+  for (let p = 0; p < width * height; p++) {
+    const a = image.pixels[p * 4 + 3] / 255;
+    for (let k = 0; k < 3; k++) {
+      layer[p * 4 + k] = (image.pixels[p * 4 + k] / 255) * a;
+    }
+    layer[p * 4 + 3] = a;
+  }
+  return layer;
+}
+
+// Draw strokes onto an ink layer in order (mutates it)
+function rasterizeStrokes(layer, strokes) {
+  const frame = DRAWING_SPACE;
+  const { width } = frame;
+
+  for (const stroke of strokes) {
+    const s = toFrame(stroke, frame);
+    if (s.points.length < 2) continue;
+    const area = strokeCoverage(s, frame);
+    if (!area) continue;
+
+    const [r, g, b, a] = s.isEraser ? [0, 0, 0, 1] : parseColor(s.color);
+    for (let y = area.y0; y <= area.y1; y++) {
+      for (let x = area.x0; x <= area.x1; x++) {
+        const c = area.cov[(y - area.y0) * area.w + (x - area.x0)] * a;
+        if (c <= 0) continue;
+        const i = (y * width + x) * 4;
+        if (s.isEraser) {
+          // destination-out
+          for (let k = 0; k < 4; k++) layer[i + k] *= 1 - c;
+        } else {
+          // source-over
+          layer[i] = r * c + layer[i] * (1 - c);
+          layer[i + 1] = g * c + layer[i + 1] * (1 - c);
+          layer[i + 2] = b * c + layer[i + 2] * (1 - c);
+          layer[i + 3] = c + layer[i + 3] * (1 - c);
+        }
+      }
+    }
+  }
+}
+
+export function renderDrawingPng(strokes, baked = null) {
+  const { width, height } = DRAWING_SPACE;
+
+  // Ink layer, premultiplied RGBA; composited onto white paper at the end
+  const layer = inkLayer(baked);
+  rasterizeStrokes(layer, strokes);
+
+  const rgb = Buffer.alloc(width * height * 3);
+  for (let p = 0; p < width * height; p++) {
+    const paper = 1 - layer[p * 4 + 3];
+    for (let k = 0; k < 3; k++) {
+      rgb[p * 3 + k] = Math.round((layer[p * 4 + k] + paper) * 255);
+    }
+  }
+  return encodePng(width, height, rgb);
+}
+
+// Baked layer (base64 RGBA PNG) with `strokes` drawn into it. Transparent
+// where there is no ink, so clients and exports can put it on their paper.
+export function bakeStrokes(baked, strokes) {
+  const { width, height } = DRAWING_SPACE;
+  const layer = inkLayer(baked);
+  rasterizeStrokes(layer, strokes);
+
+  // PNG alpha is straight, not premultiplied
+  const rgba = Buffer.alloc(width * height * 4);
+  for (let p = 0; p < width * height; p++) {
+    const a = layer[p * 4 + 3];
+    for (let k = 0; k < 3; k++) {
+      rgba[p * 4 + k] = a > 0 ? Math.round((layer[p * 4 + k] / a) * 255) : 0;
+    }
+    rgba[p * 4 + 3] = Math.round(a * 255);
+  }
+  return encodePng(width, height, rgba, 4).toString("base64");
+}
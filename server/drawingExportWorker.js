@@ -0,0 +1,26 @@
+/**
+ * Drawing Export Worker
+ * Renders one canvas export, or one bake of old strokes into the raster
+ * layer, off the main thread: rasterizing a full canvas to PNG takes long
+ * enough to stall every WebSocket on the server.
+ *
+ * workerData: { task: "png" | "svg" | "bake", strokes, baked }; posts the
+ * export body (or the new baked layer, base64) back.
+ */
+
+import { parentPort, workerData } from "worker_threads";
+
+import {
+  bakeStrokes,
+  renderDrawingPng,
+  renderDrawingSvg,
+} from "./drawingExport.js";
+
+const RENDERERS = {
+  png: renderDrawingPng,
+  svg: renderDrawingSvg,
+  bake: (strokes, baked) => bakeStrokes(baked, strokes),
+};
+
+const { task, strokes, baked } = workerData;
+parentPort.postMessage(RENDERERS[task](strokes, baked));
@@ -0,0 +1,246 @@
+/**
+ * Drawing Store
+ * Keeps each study's Draw-room canvas on disk so it survives restarts
+ * and redeploys: a write-ahead log of operations plus periodic snapshots.
+ *
+ *   <DATA_DIR>/drawings/<studyId>/snapshot.json   state up to `seq`
+ *   <DATA_DIR>/drawings/<studyId>/wal.ndjson      operations after it
+ *
+ * Every operation is appended to the WAL (synchronously, so log order is
+ * apply order) before it is applied. Restoring = load snapshot, then replay
+ * WAL entries with a higher `seq`.
+ */
+
+import {
+  appendFileSync,
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  readdirSync,
+  renameSync,
+  writeFileSync,
+} from "fs";
+
+import { DATA_DIR } from "./dataDir.js";
+import { compactDrawing } from "./drawingCompaction.js";
+import path from "path";
+
+const DRAWINGS_DIR = path.join(DATA_DIR, "drawings");
+
+// Snapshot once this many operations have accumulated in the WAL
+const SNAPSHOT_AFTER_OPS = 200;
+
+// Undone strokes kept per participant so they can be redone
+const MAX_REDO_PER_PARTICIPANT = 20;
+
+// `compacted`: simplified older strokes; `strokes`: recent tail, verbatim;
+// `baked`: the oldest strokes as a raster under both (base64 PNG, or null).
+// Together they are the full canvas (see drawingCompaction.js).
+// `removed`: strokes undone by their author, restorable via redo.
+// `strokeSeq`: last sequence number given to a stroke (canvas order).
+export function createDrawingState() {
+  return {
+    baked: null,
+    compacted: [],
+    strokes: [],
+    compactTolerance: null,
+    removed: [],
+    strokeSeq: 0,
+  };
+}
+
+// Find a stroke on the canvas (tail first, it's where recent strokes live)
+export function findDrawingStroke(state, strokeId) {
+  return (
+    state.strokes.find((s) => s.id === strokeId) ||
+    state.compacted.find((s) => s.id === strokeId) ||
+    null
+  );
+}
+
+// Find an undone stroke that `participantId` may redo
+export function findRemovedStroke(state, strokeId, participantId) {
+  return (
+    state.removed.find(
+      (s) => s.id === strokeId && s.participantId === participantId
+    ) || null
+  );
+}
+
+// Insert keeping the list ordered by seq (restored strokes go back in place)
+function insertBySeq(list, stroke) {
+  const index = list.findIndex((s) => (s.seq || 0) > stroke.seq);
+  if (index === -1) list.push(stroke);
+  else list.splice(index, 0, stroke);
+}
+
+// Apply one operation to a drawing state (mutates it)
+export function applyDrawingOp(state, op) {
+  switch (op.op) {
+    case "stroke":
+      state.strokeSeq = Math.max(state.strokeSeq || 0, op.stroke.seq || 0);
+      state.strokes.push(op.stroke);
+      compactDrawing(state);
+      break;
+
+    case "remove": {
+      const stroke = findDrawingStroke(state, op.strokeId);
+      if (!stroke) break;
+      state.strokes = state.strokes.filter((s) => s.id !== op.strokeId);
+      state.compacted = state.compacted.filter((s) => s.id !== op.strokeId);
+      state.removed.push(stroke);
+
+      // Bound the redo history per participant (oldest undone first)
+      const own = state.removed.filter(
+        (s) => s.participantId === stroke.participantId
+      );
+      if (own.length > MAX_REDO_PER_PARTICIPANT) {
+        const dropped = own[0];
+        state.removed = state.removed.filter((s) => s !== dropped);
+      }
+      break;
+    }
+
+    case "restore": {
+      const stroke = state.removed.find((s) => s.id === op.strokeId);
+      if (!stroke) break;
+      state.removed = state.removed.filter((s) => s !== stroke);
+      insertBySeq(stroke.compacted ? state.compacted : state.strokes, stroke);
+      compactDrawing(state);
+      break;
+    }
+
+    case "bake": {
+      // Oldest compacted strokes, rendered into the raster layer by a worker
+      const ids = new Set(op.strokeIds);
+      state.compacted = state.compacted.filter((s) => !ids.has(s.id));
+      state.baked = op.baked;
+      break;
+    }
+
+    case "erase": {
+      // Stroke eraser: gone for good (not added to the redo history)
+      const ids = new Set(op.strokeIds);
+      state.strokes = state.strokes.filter((s) => !ids.has(s.id));
+      state.compacted = state.compacted.filter((s) => !ids.has(s.id));
+      break;
+    }
+
+    case "clear":
+      Object.assign(state, createDrawingState(), {
+        // Keep numbering monotonic so restored/old strokes never collide
+        strokeSeq: state.strokeSeq,
+      });
+      break;
+
+    default:
+      console.warn("[Drawing] Unknown operation:", op.op);
+  }
+}
+
+// Study ids that have drawing state on disk (restored at boot)
+export function listStoredDrawings() {
+  if (!existsSync(DRAWINGS_DIR)) return [];
+  return readdirSync(DRAWINGS_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+}
+
+/**
+ * Persistence for one study's canvas.
+ * `load()` returns the restored state; `append(op)` logs an operation;
+ * `snapshot(state)` compacts the WAL into a new snapshot.
+ * With `persist: false` (study without artifact capture) nothing is read
+ * from or written to disk: the canvas lives in memory only.
+ */
+export function createDrawingStore(studyId, { persist = true } = {}) {
+  const dir = path.join(DRAWINGS_DIR, studyId);
+  const snapshotFile = path.join(dir, "snapshot.json");
+  const walFile = path.join(dir, "wal.ndjson");
+
+  let seq = 0; // last operation sequence number written
+  let snapshotSeq = 0; // last sequence number covered by the snapshot
+
+  return {
+    load() {
+      const state = createDrawingState();
+      if (!persist) {
+        if (existsSync(dir)) {
+          console.warn(
+            `[Drawing] Not restoring ${studyId}: artifact capture is off`
+          );
+        }
+        return state;
+      }
+
+      if (existsSync(snapshotFile)) {
+        try {
+          const snapshot = JSON.parse(readFileSync(snapshotFile, "utf8"));
+          Object.assign(state, snapshot.state);
+          snapshotSeq = snapshot.seq || 0;
+        } catch (err) {
+          console.error(`[Drawing] Unreadable snapshot for ${studyId}:`, err);
+        }
+      }
+      seq = snapshotSeq;
+
+      if (existsSync(walFile)) {
+        const lines = readFileSync(walFile, "utf8").split("\n");
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch {
+            // Torn write from a crash mid-append; everything before it is intact
+            console.warn(`[Drawing] Skipping unreadable WAL line (${studyId})`);
+            continue;
+          }
+          // Already covered by the snapshot (crash between snapshot and truncate)
+          if (entry.seq <= snapshotSeq) continue;
+          applyDrawingOp(state, entry);
+          seq = Math.max(seq, entry.seq);
+        }
+      }
+
+      if (seq > 0) {
+        console.log(
+          `[Drawing] Restored ${studyId}: ${state.compacted.length} compacted + ${state.strokes.length} recent strokes (seq ${seq})`
+        );
+      }
+      return state;
+    },
+
+    append(op) {
+      if (!persist) return;
+      seq += 1;
+      mkdirSync(dir, { recursive: true });
+      appendFileSync(walFile, JSON.stringify({ ...op, seq }) + "\n", "utf8");
+    },
+
+    // True when the WAL holds operations not yet in the snapshot
+    isDirty() {
+      return seq > snapshotSeq;
+    },
+
+    shouldSnapshot() {
+      return seq - snapshotSeq >= SNAPSHOT_AFTER_OPS;
+    },
+
+    snapshot(state) {
+      if (!this.isDirty()) return;
+      mkdirSync(dir, { recursive: true });
+
+      // Write-then-rename so a crash never leaves a half-written snapshot
+      const tmpFile = `${snapshotFile}.tmp`;
+      writeFileSync(
+        tmpFile,
+        JSON.stringify({ seq, savedAt: new Date().toISOString(), state }),
+        "utf8"
+      );
+      renameSync(tmpFile, snapshotFile);
+      snapshotSeq = seq;
+      writeFileSync(walFile, "", "utf8");
+    },
+  };
+}
@@ -1,19 +1,92 @@
 /**
  * WebSocket Server for Research Prototype
- * Handles: presence, LiveKit tokens, messages, drawing sync
+ * Handles: presence, LiveKit tokens, messages, drawing sync, Move-room balls,
+ * admin dashboard
  *
  * Run: node server/index.js
  * Default port: 3001
  */
 
-/* global process */
+/* global process, Buffer */
+
+import {
+  createActivityState,
+  getAdminSnapshot,
+  getRequestToken,
+  isAdminConfigured,
+  isAdminToken,
+  recordClearEvent,
+  recordRoomEvent,
+} from "./admin.js";
+import {
+  CLEAR_VOTE_MS,
+  castClearVote,
+  describeClearVote,
+  dropClearVoter,
+  getClearVoteOutcome,
+  startClearVote,
+} from "./clearVote.js";
+import {
+  applyDrawingOp,
+  createDrawingStore,
+  findDrawingStroke,
+  findRemovedStroke,
+  listStoredDrawings,
+} from "./drawingStore.js";
+import {
+  BALL_RADIUS,
+  MOVE_TICK_MS,
+  createMoveObjects,
+  describeMoveObjects,
+  setMovePointers,
+  stepMoveObjects,
+} from "./moveObjects.js";
+import { getStudyConfig, listConfiguredStudies } from "./studyConfig.js";
+import { validateMessage } from "./messageSchema.js";
+import {
+  appendSession,
+  listSessions,
+  validateSessionPayload,
+} from "./sessionStore.js";
 
 import { AccessToken } from "livekit-server-sdk";
 import { WebSocketServer } from "ws";
+import { Worker } from "worker_threads";
+import { createRateLimiter } from "./rateLimit.js";
 import { createServer } from "http";
+import { randomUUID } from "crypto";
+import { strokesToBake } from "./drawingCompaction.js";
 
 const PORT = process.env.PORT || 3001;
 
+// Max accepted size of an HTTP JSON body (session payloads are flat rows, but
+// their per-visit strings may each run up to 50,000 characters)
+const MAX_BODY_BYTES = 512 * 1024;
+
+// Max WebSocket frame; larger frames close the connection (code 1009)
+const MAX_FRAME_BYTES = 128 * 1024;
+
+// Same error code for the same message type is reported at most this often
+const ERROR_REPLY_INTERVAL_MS = 1000;
+
+// WebSocket close code for a connection URL naming an unknown study
+// (clients should not reconnect with the same id)
+const UNKNOWN_STUDY_CLOSE_CODE = 4004;
+
+// How often dirty Draw-room canvases are snapshotted to disk
+const DRAWING_SNAPSHOT_INTERVAL_MS = 30000;
+
+// Drawing exports per client address (each may render a full canvas)
+const EXPORT_RATE = { burst: 3, perSecond: 0.2 };
+const exportLimiter = createRateLimiter();
+
+// How long a participant's one-time export ticket stays valid
+const EXPORT_TICKET_TTL_MS = 60000;
+
+// Behind a reverse proxy (e.g. Railway) that appends the client to
+// X-Forwarded-For; otherwise that header is client-supplied and ignored
+const TRUST_PROXY = process.env.TRUST_PROXY === "1";
+
 // LiveKit configuration (get from https://cloud.livekit.io)
 const LIVEKIT_API_KEY = process.env.LIVEKIT_API_KEY || "";
 const LIVEKIT_API_SECRET = process.env.LIVEKIT_API_SECRET || "";
@@ -40,12 +113,73 @@ function generateLiveKitToken(roomName, participantIdentity) {
   return token.toJwt();
 }
 
+// Read and parse a JSON request body (rejects oversized or malformed bodies)
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    let tooLarge = false;
+    const chunks = [];
+
+    req.on("data", (chunk) => {
+      // Past the limit, keep draining (not destroying) the request so the
+      // 413 reply still reaches the client
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        tooLarge = true;
+        chunks.length = 0;
+        reject(Object.assign(new Error("Body too large"), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", () => {
+      if (tooLarge) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(Object.assign(new Error("Invalid JSON"), { status: 400 }));
+      }
+    });
+
+    req.on("error", reject);
+  });
+}
+
+// Client address for per-client HTTP limits: the socket's peer, or with
+// TRUST_PROXY the last X-Forwarded-For entry (the one our proxy added;
+// earlier entries are whatever the client sent)
+function clientAddress(req) {
+  const forwarded = TRUST_PROXY && req.headers["x-forwarded-for"];
+  if (!forwarded) return req.socket.remoteAddress;
+  const hops = forwarded.split(",");
+  return hops[hops.length - 1].trim();
+}
+
+// Gate an admin route; writes the error response and returns false if not allowed
+function requireAdmin(req, res) {
+  if (!isAdminConfigured()) {
+    res.writeHead(503);
+    res.end(
+      JSON.stringify({ error: "Admin access not configured (ADMIN_TOKEN)" })
+    );
+    return false;
+  }
+  if (!isAdminToken(getRequestToken(req))) {
+    res.writeHead(401);
+    res.end(JSON.stringify({ error: "Unauthorized" }));
+    return false;
+  }
+  return true;
+}
+
 // Create HTTP server
 const server = createServer(async (req, res) => {
   // CORS headers
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
   res.setHeader("Content-Type", "application/json");
 
   // Handle preflight
@@ -57,10 +191,26 @@ const server = createServer(async (req, res) => {
 
   const url = new URL(req.url, `http://${req.headers.host}`);
 
-  // Health check endpoint
+  // Health check endpoint (?study= selects which study's counts go in `rooms`)
   if (url.pathname === "/health") {
+    const studyId = sanitizeStudyId(url.searchParams.get("study"));
+    if (!studyId) {
+      res.writeHead(404);
+      res.end(JSON.stringify({ error: "Unknown study" }));
+      return;
+    }
+    const studyCounts = {};
+    studies.forEach((study, id) => {
+      studyCounts[id] = getRoomCounts(study);
+    });
     res.writeHead(200);
-    res.end(JSON.stringify({ status: "ok", rooms: getRoomCounts() }));
+    res.end(
+      JSON.stringify({
+        status: "ok",
+        rooms: studyCounts[studyId] || { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0 },
+        studies: studyCounts,
+      })
+    );
     return;
   }
 
@@ -88,43 +238,279 @@ const server = createServer(async (req, res) => {
     return;
   }
 
+  // Session ingestion: POST /sessions
+  if (url.pathname === "/sessions" && req.method === "POST") {
+    try {
+      const payload = await readJsonBody(req);
+      const errors = validateSessionPayload(payload);
+      if (errors.length > 0) {
+        res.writeHead(422);
+        res.end(JSON.stringify({ error: "Invalid session payload", errors }));
+        return;
+      }
+      // Sessions only go to studies this server runs (missing = default)
+      if (payload.studyId !== undefined && payload.studyId !== null) {
+        const studyId =
+          typeof payload.studyId === "string"
+            ? sanitizeStudyId(payload.studyId)
+            : null;
+        if (!studyId) {
+          res.writeHead(400);
+          res.end(JSON.stringify({ error: "Unknown study" }));
+          return;
+        }
+        payload.studyId = studyId;
+      }
+
+      const record = await appendSession(payload);
+      res.writeHead(201);
+      res.end(
+        JSON.stringify({
+          ok: true,
+          receiptId: record.receiptId,
+          receivedAt: record.receivedAt,
+        })
+      );
+      console.log(
+        `[Sessions] Stored ${record.participantId} in ${record.studyId || DEFAULT_STUDY_ID} (final: ${record.isFinal})`
+      );
+    } catch (err) {
+      console.error("[Sessions] Ingest error:", err);
+      res.writeHead(err.status || 500);
+      res.end(JSON.stringify({ error: err.message }));
+    }
+    return;
+  }
+
+  // Session listing: GET /sessions, GET /sessions/:participantId (?study= filters)
+  const sessionsMatch = url.pathname.match(/^\/sessions(?:\/([^/]+))?$/);
+  if (sessionsMatch && req.method === "GET") {
+    if (!requireAdmin(req, res)) return;
+    const participantId = sessionsMatch[1]
+      ? decodeURIComponent(sessionsMatch[1])
+      : null;
+    const studyId = url.searchParams.get("study")
+      ? sanitizeStudyId(url.searchParams.get("study"))
+      : null;
+    if (url.searchParams.get("study") && !studyId) {
+      res.writeHead(404);
+      res.end(JSON.stringify({ error: "Unknown study" }));
+      return;
+    }
+
+    try {
+      const sessions = await listSessions({ participantId, studyId });
+      if (participantId && sessions.length === 0) {
+        res.writeHead(404);
+        res.end(JSON.stringify({ error: "No sessions for participant" }));
+        return;
+      }
+      res.writeHead(200);
+      res.end(JSON.stringify({ count: sessions.length, sessions }));
+    } catch (err) {
+      console.error("[Sessions] Read error:", err);
+      res.writeHead(500);
+      res.end(JSON.stringify({ error: err.message }));
+    }
+    return;
+  }
+
+  // Admin dashboard snapshot: GET /admin/state?study=
+  if (url.pathname === "/admin/state" && req.method === "GET") {
+    if (!requireAdmin(req, res)) return;
+    const studyId = sanitizeStudyId(url.searchParams.get("study"));
+    if (!studyId) {
+      res.writeHead(404);
+      res.end(JSON.stringify({ error: "Unknown study" }));
+      return;
+    }
+    res.writeHead(200);
+    res.end(JSON.stringify(getAdminSnapshot(getStudy(studyId))));
+    return;
+  }
+
+  // Admin canvas reset: POST /admin/drawing/reset?study=
+  // (separate from the participant "Clear All" so researchers can wipe a canvas)
+  if (url.pathname === "/admin/drawing/reset" && req.method === "POST") {
+    if (!requireAdmin(req, res)) return;
+    const studyId = sanitizeStudyId(url.searchParams.get("study"));
+    if (!studyId) {
+      res.writeHead(404);
+      res.end(JSON.stringify({ error: "Unknown study" }));
+      return;
+    }
+    const study = getStudy(studyId);
+    clearCanvas(study, null);
+    study.drawingStore.snapshot(study.drawing);
+    res.writeHead(200);
+    res.end(JSON.stringify({ ok: true, studyId }));
+    notifyClearEvent(study, null, "researcher", "cleared");
+    return;
+  }
+
+  // Drawing export: GET /drawing/export?study=&format=png|svg
+  // (researchers with the admin token, participants with a one-time ticket
+  // from the Draw room; off when the study disables artifact capture)
+  if (url.pathname === "/drawing/export" && req.method === "GET") {
+    const retryAfterMs = exportLimiter.take(clientAddress(req), EXPORT_RATE);
+    if (retryAfterMs > 0) {
+      res.writeHead(429, { "Retry-After": Math.ceil(retryAfterMs / 1000) });
+      res.end(JSON.stringify({ error: "Too many exports, try again soon" }));
+      return;
+    }
+    const studyId = sanitizeStudyId(url.searchParams.get("study"));
+    const format = url.searchParams.get("format") || "png";
+    if (!studyId) {
+      res.writeHead(404);
+      res.end(JSON.stringify({ error: "Unknown study" }));
+      return;
+    }
+    if (!EXPORT_TYPES[format]) {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: "Invalid format" }));
+      return;
+    }
+    const token = getRequestToken(req);
+    if (
+      !isAdminToken(token) &&
+      !redeemExportTicket(studies.get(studyId), token)
+    ) {
+      res.writeHead(401);
+      res.end(JSON.stringify({ error: "Unauthorized" }));
+      return;
+    }
+    if (!getStudyConfig(studyId).artifactCapture) {
+      res.writeHead(403);
+      res.end(
+        JSON.stringify({ error: "Artifact capture is disabled for this study" })
+      );
+      return;
+    }
+
+    try {
+      // A study nobody has joined yet has a blank canvas
+      const study = studies.get(studyId);
+      const body = study
+        ? await getDrawingExport(study, format)
+        : await renderDrawingExport(format, [], null);
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      res.writeHead(200, {
+        "Content-Type": EXPORT_TYPES[format],
+        "Content-Disposition": `attachment; filename="drawing-${studyId}-${stamp}.${format}"`,
+        "Cache-Control": "no-store",
+      });
+      res.end(body);
+    } catch (err) {
+      console.error("[Drawing] Export error:", err);
+      res.writeHead(500);
+      res.end(JSON.stringify({ error: err.message }));
+    }
+    return;
+  }
+
   // 404 for unknown routes
   res.writeHead(404);
   res.end(JSON.stringify({ error: "Not found" }));
 });
 
 // Create WebSocket server
-const wss = new WebSocketServer({ server });
-
-// Room state
-const rooms = {
-  1: new Map(), // participantId -> { ws, joinedAt }
-  2: new Map(),
-  3: new Map(),
-  4: new Map(),
-  5: new Map(),
-  6: new Map(),
-};
-
-// Drawing history for Room 4 (keep last N strokes for new joiners)
-const MAX_DRAWING_HISTORY = 100;
-let drawingHistory = [];
-
-// Get room presence counts
-function getRoomCounts() {
+const wss = new WebSocketServer({ server, maxPayload: MAX_FRAME_BYTES });
+
+// ==================== Studies ====================
+// Each study (e.g. "pilot", "main") gets its own rooms, drawing history,
+// presence broadcasts and LiveKit room names, so concurrent studies never mix.
+
+const DEFAULT_STUDY_ID = "main";
+
+const STUDY_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+// Studies this server runs: the default, STUDY_IDS (e.g. STUDY_IDS=main,pilot)
+// and every study in the study config file. Other ids are rejected, so a
+// made-up ?study= never allocates rooms or a canvas.
+const KNOWN_STUDY_IDS = new Set(
+  [
+    DEFAULT_STUDY_ID,
+    ...(process.env.STUDY_IDS || "").split(","),
+    ...listConfiguredStudies(),
+  ]
+    .map((id) => id.trim().toLowerCase())
+    .filter((id) => {
+      if (STUDY_ID_PATTERN.test(id)) return true;
+      if (id) console.warn(`[Study] Ignoring invalid study id "${id}"`);
+      return false;
+    })
+);
+
+// studyId -> { id, rooms, drawing, drawingStore, activity }
+const studies = new Map();
+
+// Normalize a client-supplied study id; returns null unless it names a known
+// study (missing = the default study)
+function sanitizeStudyId(raw) {
+  if (raw === undefined || raw === null || raw === "") return DEFAULT_STUDY_ID;
+  const id = String(raw).trim().toLowerCase();
+  return KNOWN_STUDY_IDS.has(id) ? id : null;
+}
+
+// Get (or lazily create) the state for a known study (see sanitizeStudyId)
+function getStudy(studyId) {
+  let study = studies.get(studyId);
+  if (!study) {
+    // Draw-room canvas is restored from disk (snapshot + write-ahead log),
+    // unless the study turns artifact capture off
+    const drawingStore = createDrawingStore(studyId, {
+      persist: getStudyConfig(studyId).artifactCapture,
+    });
+    study = {
+      id: studyId,
+      // Room state
+      rooms: {
+        1: new Map(), // participantId -> { ws, joinedAt }
+        2: new Map(),
+        3: new Map(),
+        4: new Map(),
+        5: new Map(),
+        6: new Map(),
+      },
+      drawing: drawingStore.load(),
+      drawingStore,
+      // Bumped on every drawing op; keys the export cache
+      drawingVersion: 0,
+      drawingExports: new Map(), // format -> { version, body }
+      // One-time "Save image" tickets: ticket -> expiry (ms)
+      exportTickets: new Map(),
+      // Bake of old strokes running in a worker (promise), if any
+      drawingBake: null,
+      // Room 4 stroke being drawn: participantId -> { strokeId, seq }
+      liveStrokes: new Map(),
+      // Open Room 4 "Clear All" vote (clearVote.js), if any
+      clearVote: null,
+      // Room 5 shared balls, stepped by tickMoveObjects (moveObjects.js)
+      moveObjects: createMoveObjects(),
+      // Join/leave tracking for the researcher dashboard
+      activity: createActivityState(),
+    };
+    studies.set(studyId, study);
+    console.log(`[Study] Created study "${studyId}"`);
+  }
+  return study;
+}
+
+// Get room presence counts for a study
+function getRoomCounts(study) {
   return {
-    1: rooms[1].size,
-    2: rooms[2].size,
-    3: rooms[3].size,
-    4: rooms[4].size,
-    5: rooms[5].size,
-    6: rooms[6].size,
+    1: study.rooms[1].size,
+    2: study.rooms[2].size,
+    3: study.rooms[3].size,
+    4: study.rooms[4].size,
+    5: study.rooms[5].size,
+    6: study.rooms[6].size,
   };
 }
 
-// Broadcast to all clients in a specific room
-function broadcastToRoom(roomId, message, excludeWs = null) {
-  const room = rooms[roomId];
+// Broadcast to all clients in a specific room of a study
+function broadcastToRoom(study, roomId, message, excludeWs = null) {
+  const room = study.rooms[roomId];
   if (!room) return;
 
   const data = JSON.stringify(message);
@@ -135,9 +521,9 @@ function broadcastToRoom(roomId, message, excludeWs = null) {
   });
 }
 
-// Send to a specific participant in a room
-function sendToParticipant(roomId, targetParticipantId, message) {
-  const room = rooms[roomId];
+// Send to a specific participant in a room of a study
+function sendToParticipant(study, roomId, targetParticipantId, message) {
+  const room = study.rooms[roomId];
   if (!room) return false;
 
   const target = room.get(targetParticipantId);
@@ -148,65 +534,461 @@ function sendToParticipant(roomId, targetParticipantId, message) {
   return false;
 }
 
-// Broadcast presence counts to all connected clients
-function broadcastPresence() {
-  const counts = getRoomCounts();
-  const message = JSON.stringify({ type: "presence", counts });
+// Apply a Draw-room operation to a study, logging it to the WAL first
+function commitDrawingOp(study, op) {
+  const bakedBefore = study.drawing.baked;
+  study.drawingStore.append(op);
+  applyDrawingOp(study.drawing, op);
+  study.drawingVersion += 1;
+  if (study.drawingStore.shouldSnapshot()) {
+    study.drawingStore.snapshot(study.drawing);
+  }
+  // Strokes just baked left the vector layers: resend the canvas
+  if (study.drawing.baked && study.drawing.baked !== bakedBefore) {
+    broadcastToRoom(study, 4, drawingHistoryMessage(study));
+  }
+  scheduleDrawingBake(study);
+}
+
+// Once the compacted layer is over budget, bake its oldest strokes in a
+// worker. The result is committed only if nothing it replaces changed
+// meanwhile (strokes erased or undone, canvas cleared); otherwise the next
+// drawing op tries again.
+function scheduleDrawingBake(study) {
+  if (study.drawingBake) return;
+  const strokes = strokesToBake(study.drawing);
+  if (strokes.length === 0) return;
+
+  const bakedBefore = study.drawing.baked;
+  const bake = runDrawingWorker({
+    task: "bake",
+    strokes,
+    baked: bakedBefore,
+  })
+    .then((baked) => {
+      const strokeIds = strokes.map((s) => s.id);
+      const current = new Set(study.drawing.compacted.map((s) => s.id));
+      if (
+        study.drawing.baked !== bakedBefore ||
+        !strokeIds.every((id) => current.has(id))
+      ) {
+        console.log(`[Drawing] Discarded stale bake for ${study.id}`);
+        return;
+      }
+      study.drawingBake = null;
+      commitDrawingOp(study, { op: "bake", strokeIds, baked });
+      console.log(
+        `[Drawing] Baked ${strokeIds.length} oldest strokes of ${study.id} into the raster layer`
+      );
+    })
+    .catch((err) => {
+      console.error(`[Drawing] Bake failed for ${study.id}:`, err);
+    })
+    .finally(() => {
+      // (a bake committed above may already have started the next one)
+      if (study.drawingBake === bake) study.drawingBake = null;
+    });
+  study.drawingBake = bake;
+}
+
+// Full canvas for the Draw room: baked raster, compacted older strokes, then
+// the verbatim recent tail
+function drawingHistoryMessage(study) {
+  const { baked, compacted, strokes } = study.drawing;
+  return {
+    type: "drawing_history",
+    snapshot: { baked, strokes: compacted },
+    strokes,
+  };
+}
+
+// Wipe the whole canvas for everyone (by = participant, null = researcher)
+function clearCanvas(study, by) {
+  commitDrawingOp(study, { op: "clear", by: by || "admin" });
+  broadcastToRoom(study, 4, {
+    type: "clear_drawing",
+    participantId: by,
+    byAdmin: by === null,
+  });
+}
+
+// End the study's clear vote: clear if it passed, tell the room, log it
+function endClearVote(study, outcome) {
+  const vote = study.clearVote;
+  clearTimeout(vote.timer);
+  study.clearVote = null;
+  if (outcome === "passed") clearCanvas(study, vote.initiatorId);
+
+  broadcastToRoom(study, 4, {
+    type: "clear_vote_ended",
+    voteId: vote.id,
+    outcome,
+  });
+  const { yes, no } = describeClearVote(vote);
+  notifyClearEvent(study, vote.initiatorId, "vote", outcome, {
+    yes,
+    no,
+    voters: vote.voters.size,
+  });
+}
+
+// After the vote changed: end it if decided, else show the room the tally
+function updateClearVote(study) {
+  const outcome = getClearVoteOutcome(study.clearVote);
+  if (outcome) {
+    endClearVote(study, outcome);
+    return;
+  }
+  broadcastToRoom(study, 4, {
+    type: "clear_vote",
+    ...describeClearVote(study.clearVote),
+  });
+}
+
+// Room 5 shared balls as sent to the room
+function moveObjectsMessage(study, jointPushes = []) {
+  return {
+    type: "move_objects",
+    objects: describeMoveObjects(study.moveObjects),
+    radius: BALL_RADIUS,
+    jointPushes,
+    timestamp: Date.now(),
+  };
+}
+
+// Step every occupied Move room's balls; the room hears about them while
+// they move
+function tickMoveObjects() {
+  const now = Date.now();
+  studies.forEach((study) => {
+    if (study.rooms[5].size === 0) return;
+    const { moved, jointPushes } = stepMoveObjects(
+      study.moveObjects,
+      MOVE_TICK_MS,
+      now
+    );
+    jointPushes.forEach(({ objectId, participants }) => {
+      console.log(
+        `[Move] Joint push on ${objectId} in ${study.id}: ${participants.join(" + ")}`
+      );
+    });
+    if (moved || jointPushes.length > 0) {
+      broadcastToRoom(study, 5, moveObjectsMessage(study, jointPushes));
+    }
+  });
+}
+
+const EXPORT_TYPES = { png: "image/png", svg: "image/svg+xml" };
+
+// Run one render in a worker thread (see drawingExportWorker.js)
+function runDrawingWorker(job) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(
+      new URL("./drawingExportWorker.js", import.meta.url),
+      { workerData: job }
+    );
+    worker.once("message", resolve);
+    worker.once("error", reject);
+    worker.once("exit", (code) => {
+      if (code !== 0) reject(new Error(`Drawing worker exited with ${code}`));
+    });
+  });
+}
+
+// Render an export in a worker thread
+function renderDrawingExport(format, strokes, baked) {
+  return runDrawingWorker({ task: format, strokes, baked });
+}
+
+// Rendered canvas (a promise), cached until the next drawing op so
+// concurrent requests share one render
+function getDrawingExport(study, format) {
+  const cached = study.drawingExports.get(format);
+  if (cached && cached.version === study.drawingVersion) return cached.body;
+
+  const { baked, compacted } = study.drawing;
+  const strokes = [...compacted, ...study.drawing.strokes];
+  const body = renderDrawingExport(format, strokes, baked);
+  study.drawingExports.set(format, { version: study.drawingVersion, body });
+  // Don't keep a failed render around
+  body.catch(() => {
+    if (study.drawingExports.get(format)?.body === body) {
+      study.drawingExports.delete(format);
+    }
+  });
+  return body;
+}
+
+// One-time ticket letting a Draw-room participant fetch the export
+function issueExportTicket(study) {
+  const now = Date.now();
+  study.exportTickets.forEach((expiresAt, ticket) => {
+    if (expiresAt <= now) study.exportTickets.delete(ticket);
+  });
+  const ticket = randomUUID();
+  study.exportTickets.set(ticket, now + EXPORT_TICKET_TTL_MS);
+  return ticket;
+}
+
+// Use up a ticket; false if unknown or expired
+function redeemExportTicket(study, ticket) {
+  const expiresAt = study?.exportTickets.get(ticket);
+  if (expiresAt === undefined) return false;
+  study.exportTickets.delete(ticket);
+  return expiresAt > Date.now();
+}
+
+// Snapshot every study whose canvas changed since its last snapshot
+function snapshotDrawings() {
+  studies.forEach((study) => {
+    try {
+      study.drawingStore.snapshot(study.drawing);
+    } catch (err) {
+      console.error(`[Drawing] Snapshot failed for ${study.id}:`, err);
+    }
+  });
+}
+
+// Broadcast a study's presence counts to every client connected to that study
+function broadcastPresence(study) {
+  const counts = getRoomCounts(study);
+  const message = JSON.stringify({
+    type: "presence",
+    studyId: study.id,
+    counts,
+  });
 
   wss.clients.forEach((client) => {
-    if (client.readyState === 1) {
+    if (client.readyState === 1 && client.studyId === study.id) {
       client.send(message);
     }
   });
 }
 
+// Push a study's dashboard state to subscribed admin clients
+function broadcastToAdmins(study, message) {
+  const data = JSON.stringify(message);
+  wss.clients.forEach((client) => {
+    if (client.readyState === 1 && client.adminStudyId === study.id) {
+      client.send(data);
+    }
+  });
+}
+
+// Record a join/leave for the dashboard and push it live
+function notifyRoomEvent(study, type, participantId, roomId) {
+  const event = recordRoomEvent(study.activity, type, participantId, roomId);
+  broadcastToAdmins(study, {
+    type: "admin_update",
+    event,
+    snapshot: getAdminSnapshot(study),
+  });
+}
+
+// Log a canvas clear request with its outcome, for the dashboard and the
+// server log
+function notifyClearEvent(study, participantId, policy, outcome, details) {
+  const event = recordClearEvent(
+    study.activity,
+    participantId,
+    policy,
+    outcome,
+    details
+  );
+  console.log(
+    `[Drawing] Clear by ${participantId || "admin"} in ${study.id} (${policy}): ${outcome}`
+  );
+  broadcastToAdmins(study, {
+    type: "admin_update",
+    event,
+    snapshot: getAdminSnapshot(study),
+  });
+}
+
 // Handle client connection
-wss.on("connection", (ws) => {
+wss.on("connection", (ws, req) => {
   let participantId = null;
   let currentRoom = null;
 
-  console.log("[WS] Client connected");
+  // Study comes from the connection URL (?study=) so the lobby sees the right
+  // presence before joining; `join` messages may still carry their own studyId.
+  const connectUrl = new URL(req.url, "http://localhost");
+  const connectStudyId = sanitizeStudyId(connectUrl.searchParams.get("study"));
+  if (!connectStudyId) {
+    ws.send(
+      JSON.stringify({
+        type: "error",
+        code: "unknown_study",
+        studyId: String(connectUrl.searchParams.get("study")).slice(0, 64),
+      })
+    );
+    ws.close(UNKNOWN_STUDY_CLOSE_CODE, "unknown_study");
+    return;
+  }
+  let study = getStudy(connectStudyId);
+  ws.studyId = study.id;
+
+  // Remove this participant from their current room and notify others
+  const leaveCurrentRoom = () => {
+    if (currentRoom === null || !study.rooms[currentRoom] || !participantId) {
+      return false;
+    }
+    // Only send user_left if user was actually in the room
+    if (!study.rooms[currentRoom].has(participantId)) return false;
+    study.rooms[currentRoom].delete(participantId);
+    study.liveStrokes.delete(participantId);
+    broadcastToRoom(study, currentRoom, {
+      type: "user_left",
+      participantId,
+      roomId: currentRoom,
+    });
+    notifyRoomEvent(study, "leave", participantId, currentRoom);
+    // Pointers that left the Move room stop pushing its balls
+    if (currentRoom === 5) {
+      setMovePointers(study.moveObjects, participantId, [], Date.now());
+    }
+    // Leaving the Draw room drops out of an open clear vote
+    if (currentRoom === 4 && study.clearVote?.voters.has(participantId)) {
+      dropClearVoter(study.clearVote, participantId);
+      updateClearVote(study);
+    }
+    return true;
+  };
+
+  // Study settings the client must honour (e.g. whether export is allowed)
+  const sendStudyConfig = () => {
+    ws.send(
+      JSON.stringify({
+        type: "study_config",
+        studyId: study.id,
+        config: getStudyConfig(study.id),
+      })
+    );
+  };
+
+  // Per-connection token buckets (see messageSchema.js for limits)
+  const limiter = createRateLimiter();
+  const lastErrorAt = new Map(); // "code:type" -> ms
+
+  // Structured error reply, throttled so a flooding client isn't flooded back
+  const sendError = (code, details = {}) => {
+    const key = `${code}:${details.messageType || ""}`;
+    const now = Date.now();
+    if (now - (lastErrorAt.get(key) || 0) < ERROR_REPLY_INTERVAL_MS) return;
+    lastErrorAt.set(key, now);
+    if (ws.readyState === 1) {
+      ws.send(JSON.stringify({ type: "error", code, ...details }));
+    }
+  };
+
+  // A draw_stroke that won't be saved: peers drop its live preview, and
+  // batches of it still in flight are no longer relayed
+  const cancelLiveStroke = (strokeId) => {
+    const live = study.liveStrokes.get(participantId);
+    if (currentRoom !== 4 || !live || live.strokeId !== strokeId) return;
+    study.liveStrokes.set(participantId, { strokeId, seq: Infinity });
+    broadcastToRoom(
+      study,
+      4,
+      { type: "draw_stroke_cancel", strokeId, participantId },
+      ws
+    );
+  };
+
+  console.log(`[WS] Client connected (study ${study.id})`);
 
   // Send initial presence counts
-  ws.send(JSON.stringify({ type: "presence", counts: getRoomCounts() }));
+  ws.send(
+    JSON.stringify({
+      type: "presence",
+      studyId: study.id,
+      counts: getRoomCounts(study),
+    })
+  );
+  sendStudyConfig();
 
   ws.on("message", (data) => {
+    let message;
     try {
-      const message = JSON.parse(data.toString());
+      message = JSON.parse(data.toString());
+    } catch {
+      sendError("bad_json", { detail: "Frame is not valid JSON" });
+      return;
+    }
 
+    // Reject malformed frames before touching any state
+    const result = validateMessage(message);
+    if (!result.ok) {
+      if (message?.type === "draw_stroke") cancelLiveStroke(message.strokeId);
+      sendError(result.code, {
+        messageType: String(message?.type ?? "").slice(0, 64),
+        detail: result.detail,
+        // Lets the Draw room tell which stroke wasn't saved
+        ...(message?.type === "draw_stroke" &&
+          typeof message.strokeId === "string" && {
+            strokeId: message.strokeId.slice(0, 128),
+          }),
+      });
+      return;
+    }
+
+    const retryAfterMs = limiter.take(message.type, result.schema.rate);
+    if (retryAfterMs > 0) {
+      if (message.type === "draw_stroke") cancelLiveStroke(message.strokeId);
+      sendError("rate_limited", {
+        messageType: message.type,
+        retryAfterMs,
+        ...(message.type === "draw_stroke" && { strokeId: message.strokeId }),
+      });
+      return;
+    }
+
+    try {
       switch (message.type) {
         case "join": {
-          participantId = message.participantId;
           const roomId = message.roomId;
+          const studyId = sanitizeStudyId(message.studyId ?? study.id);
+          if (!studyId) {
+            sendError("unknown_study", {
+              messageType: "join",
+              studyId: message.studyId,
+            });
+            break;
+          }
+
+          // Switching studies: leave the old study's room entirely
+          if (studyId !== study.id) {
+            const previousStudy = study;
+            if (leaveCurrentRoom()) broadcastPresence(previousStudy);
+            currentRoom = null;
+            study = getStudy(studyId);
+            ws.studyId = study.id;
+            sendStudyConfig();
+          }
 
           // Leave previous room only if actually changing rooms
-          if (
-            currentRoom !== null &&
-            currentRoom !== roomId &&
-            rooms[currentRoom]
-          ) {
-            // Only send user_left if user was actually in the previous room
-            if (rooms[currentRoom].has(participantId)) {
-              rooms[currentRoom].delete(participantId);
-              broadcastToRoom(currentRoom, {
-                type: "user_left",
-                participantId,
-                roomId: currentRoom,
-              });
-            }
+          if (currentRoom !== roomId) {
+            leaveCurrentRoom();
           }
+          participantId = message.participantId;
 
           // Join new room
-          if (rooms[roomId]) {
+          if (study.rooms[roomId]) {
             const wasAlreadyInRoom =
-              currentRoom === roomId && rooms[roomId].has(participantId);
+              currentRoom === roomId && study.rooms[roomId].has(participantId);
             currentRoom = roomId;
-            rooms[roomId].set(participantId, { ws, joinedAt: Date.now() });
+            study.rooms[roomId].set(participantId, {
+              ws,
+              joinedAt: Date.now(),
+            });
 
             // Only notify others if this is a new join (not a rejoin)
             if (!wasAlreadyInRoom) {
+              notifyRoomEvent(study, "join", participantId, roomId);
+
               // Notify others in room (they should initiate WebRTC connection)
               broadcastToRoom(
+                study,
                 roomId,
                 {
                   type: "user_joined",
@@ -218,7 +1000,7 @@ wss.on("connection", (ws) => {
             }
 
             // Send room users to joiner (joiner will initiate connections to existing users)
-            const usersInRoom = Array.from(rooms[roomId].keys()).filter(
+            const usersInRoom = Array.from(study.rooms[roomId].keys()).filter(
               (id) => id !== participantId
             );
             ws.send(
@@ -229,35 +1011,41 @@ wss.on("connection", (ws) => {
               })
             );
 
-            // If joining drawing room, send recent history
-            if (roomId === 4 && drawingHistory.length > 0) {
+            // If joining drawing room, send the full canvas
+            const { baked, compacted, strokes } = study.drawing;
+            if (
+              roomId === 4 &&
+              (baked || compacted.length + strokes.length > 0)
+            ) {
+              ws.send(JSON.stringify(drawingHistoryMessage(study)));
+            }
+            // Move room: where the shared balls are now
+            if (roomId === 5) {
+              ws.send(JSON.stringify(moveObjectsMessage(study)));
+            }
+            // An open clear vote is shown to newcomers (who can't vote)
+            if (roomId === 4 && study.clearVote) {
               ws.send(
                 JSON.stringify({
-                  type: "drawing_history",
-                  strokes: drawingHistory,
+                  type: "clear_vote",
+                  ...describeClearVote(study.clearVote),
                 })
               );
             }
 
             console.log(
-              `[WS] ${participantId} joined room ${roomId} (${rooms[roomId].size} users)`
+              `[WS] ${participantId} joined ${study.id}/room ${roomId} (${study.rooms[roomId].size} users)`
             );
           }
 
-          broadcastPresence();
+          broadcastPresence(study);
           break;
         }
 
         case "leave": {
-          if (currentRoom !== null && rooms[currentRoom] && participantId) {
-            rooms[currentRoom].delete(participantId);
-            broadcastToRoom(currentRoom, {
-              type: "user_left",
-              participantId,
-              roomId: currentRoom,
-            });
+          if (leaveCurrentRoom()) {
             currentRoom = null;
-            broadcastPresence();
+            broadcastPresence(study);
             console.log(`[WS] ${participantId} left room`);
           }
           break;
@@ -268,11 +1056,16 @@ wss.on("connection", (ws) => {
         case "rtc_offer": {
           // Forward WebRTC offer to target peer
           if (currentRoom !== null && participantId && message.targetId) {
-            const sent = sendToParticipant(currentRoom, message.targetId, {
-              type: "rtc_offer",
-              fromId: participantId,
-              offer: message.offer,
-            });
+            const sent = sendToParticipant(
+              study,
+              currentRoom,
+              message.targetId,
+              {
+                type: "rtc_offer",
+                fromId: participantId,
+                offer: message.offer,
+              }
+            );
             if (sent) {
               console.log(
                 `[RTC] Offer: ${participantId} -> ${message.targetId}`
@@ -285,11 +1078,16 @@ wss.on("connection", (ws) => {
         case "rtc_answer": {
           // Forward WebRTC answer to target peer
           if (currentRoom !== null && participantId && message.targetId) {
-            const sent = sendToParticipant(currentRoom, message.targetId, {
-              type: "rtc_answer",
-              fromId: participantId,
-              answer: message.answer,
-            });
+            const sent = sendToParticipant(
+              study,
+              currentRoom,
+              message.targetId,
+              {
+                type: "rtc_answer",
+                fromId: participantId,
+                answer: message.answer,
+              }
+            );
             if (sent) {
               console.log(
                 `[RTC] Answer: ${participantId} -> ${message.targetId}`
@@ -302,7 +1100,7 @@ wss.on("connection", (ws) => {
         case "rtc_ice_candidate": {
           // Forward ICE candidate to target peer
           if (currentRoom !== null && participantId && message.targetId) {
-            sendToParticipant(currentRoom, message.targetId, {
+            sendToParticipant(study, currentRoom, message.targetId, {
               type: "rtc_ice_candidate",
               fromId: participantId,
               candidate: message.candidate,
@@ -318,6 +1116,7 @@ wss.on("connection", (ws) => {
           if (currentRoom === 3 && participantId) {
             const kind = message.kind || "text";
             broadcastToRoom(
+              study,
               3,
               {
                 type: "message",
@@ -340,26 +1139,45 @@ wss.on("connection", (ws) => {
         case "draw_stroke": {
           // Room 4: Drawing strokes
           if (currentRoom === 4 && participantId) {
+            // Ids come from the client (they tie the live preview to the
+            // final stroke), so they must carry the sender's id and be new:
+            // undo, redo and erase address strokes by id
+            if (
+              !message.strokeId.startsWith(`${participantId}-`) ||
+              findDrawingStroke(study.drawing, message.strokeId) ||
+              study.drawing.removed.some((s) => s.id === message.strokeId)
+            ) {
+              cancelLiveStroke(message.strokeId);
+              sendError("invalid_stroke_id", {
+                messageType: "draw_stroke",
+                strokeId: message.strokeId,
+              });
+              break;
+            }
+
             const stroke = {
               id: message.strokeId,
+              seq: study.drawing.strokeSeq + 1, // canvas order (undo/redo)
               participantId,
-              points: message.points,
-              canvasW: message.canvasW || null,
-              canvasH: message.canvasH || null,
+              points: message.points, // normalized drawing space
               color: message.color || "#ffffff",
               width: message.width || 2,
               tool: message.tool || "pen",
               timestamp: Date.now(),
             };
 
-            // Add to history
-            drawingHistory.push(stroke);
-            if (drawingHistory.length > MAX_DRAWING_HISTORY) {
-              drawingHistory = drawingHistory.slice(-MAX_DRAWING_HISTORY);
-            }
+            // Add to history (persisted)
+            commitDrawingOp(study, { op: "stroke", stroke });
+
+            // Finalizes the live stroke; batches arriving after this are stale
+            study.liveStrokes.set(participantId, {
+              strokeId: stroke.id,
+              seq: Infinity,
+            });
 
             // Broadcast to everyone (including sender, for sync)
             broadcastToRoom(
+              study,
               4,
               {
                 type: "draw_stroke",
@@ -371,17 +1189,176 @@ wss.on("connection", (ws) => {
           break;
         }
 
+        case "draw_stroke_partial": {
+          // Room 4: In-progress stroke, relayed live and never persisted.
+          // `seq` is the batch index; batches that are duplicates or older
+          // than one already relayed are dropped so receivers can append.
+          if (currentRoom === 4 && participantId) {
+            // Same ownership rule as draw_stroke: only the sender's strokes
+            if (!message.strokeId.startsWith(`${participantId}-`)) {
+              sendError("invalid_stroke_id", {
+                messageType: "draw_stroke_partial",
+                strokeId: message.strokeId,
+              });
+              break;
+            }
+            const live = study.liveStrokes.get(participantId);
+            const isNewStroke = !live || live.strokeId !== message.strokeId;
+            if (!isNewStroke && message.index <= live.seq) break;
+
+            study.liveStrokes.set(participantId, {
+              strokeId: message.strokeId,
+              seq: message.index,
+            });
+
+            broadcastToRoom(
+              study,
+              4,
+              {
+                type: "draw_stroke_partial",
+                strokeId: message.strokeId,
+                participantId,
+                seq: message.index,
+                points: message.points,
+                color: message.color || "#ffffff",
+                width: message.width || 2,
+                tool: message.tool || "pen",
+              },
+              ws // sender already sees its own stroke
+            );
+          }
+          break;
+        }
+
+        case "erase_strokes": {
+          // Room 4: Stroke eraser; ids no longer on the canvas are ignored
+          if (currentRoom === 4 && participantId) {
+            const strokeIds = [...new Set(message.strokeIds)].filter((id) =>
+              findDrawingStroke(study.drawing, id)
+            );
+            if (strokeIds.length === 0) break;
+
+            commitDrawingOp(study, {
+              op: "erase",
+              strokeIds,
+              by: participantId,
+            });
+            broadcastToRoom(study, 4, {
+              type: "strokes_erased",
+              strokeIds,
+              participantId,
+            });
+          }
+          break;
+        }
+
+        case "undo_stroke": {
+          // Room 4: Remove one of the sender's own strokes (kept for redo)
+          if (currentRoom === 4 && participantId) {
+            const stroke = findDrawingStroke(study.drawing, message.strokeId);
+            if (!stroke || stroke.participantId !== participantId) {
+              sendError("stroke_not_found", {
+                messageType: "undo_stroke",
+                strokeId: message.strokeId,
+              });
+              break;
+            }
+
+            commitDrawingOp(study, {
+              op: "remove",
+              strokeId: stroke.id,
+              by: participantId,
+            });
+            broadcastToRoom(study, 4, {
+              type: "stroke_removed",
+              strokeId: stroke.id,
+              participantId,
+            });
+          }
+          break;
+        }
+
+        case "redo_stroke": {
+          // Room 4: Put back a stroke the sender undid
+          if (currentRoom === 4 && participantId) {
+            const stroke = findRemovedStroke(
+              study.drawing,
+              message.strokeId,
+              participantId
+            );
+            if (!stroke) {
+              sendError("stroke_not_found", {
+                messageType: "redo_stroke",
+                strokeId: message.strokeId,
+              });
+              break;
+            }
+
+            commitDrawingOp(study, {
+              op: "restore",
+              strokeId: stroke.id,
+              by: participantId,
+            });
+            broadcastToRoom(study, 4, {
+              type: "stroke_restored",
+              stroke,
+            });
+          }
+          break;
+        }
+
+        case "drawing_export_ticket": {
+          // Room 4 "Save image": the HTTP export needs proof the requester
+          // is in the room (the client waits for an answer either way)
+          if (
+            currentRoom !== 4 ||
+            !participantId ||
+            !getStudyConfig(study.id).artifactCapture
+          ) {
+            sendError("export_not_allowed", {
+              messageType: "drawing_export_ticket",
+            });
+            break;
+          }
+          ws.send(
+            JSON.stringify({
+              type: "drawing_export_ticket",
+              ticket: issueExportTicket(study),
+            })
+          );
+          break;
+        }
+
         // ==================== Room 5: Move (co-presence) ====================
 
         case "cursor": {
-          // Room 5: Cursor / touch presence
-          if (currentRoom === 5 && participantId) {
+          // Room 5: Cursor / touch presence. Room 4 relays the same
+          // pointers over the canvas when the study enables them.
+          const isDrawPointer =
+            currentRoom === 4 && getStudyConfig(study.id).drawPointers;
+          if ((currentRoom === 5 || isDrawPointer) && participantId) {
             const x = typeof message.x === "number" ? message.x : null;
             const y = typeof message.y === "number" ? message.y : null;
             if (x === null || y === null) break;
 
+            // Move-room pointers push the shared balls
+            if (currentRoom === 5) {
+              const pointers =
+                message.active === false
+                  ? []
+                  : message.pointers || [{ id: 0, x, y }];
+              setMovePointers(
+                study.moveObjects,
+                participantId,
+                pointers,
+                Date.now(),
+                message.aspect
+              );
+            }
+
             broadcastToRoom(
-              5,
+              study,
+              currentRoom,
               {
                 type: "cursor",
                 participantId,
@@ -389,9 +1366,17 @@ wss.on("connection", (ws) => {
                 y,
                 active: message.active !== false, // default true
                 pointerType: message.pointerType || "unknown",
+                ...(Array.isArray(message.pointers) && {
+                  pointers: message.pointers.map(({ id, x, y }) => ({
+                    id,
+                    x,
+                    y,
+                  })),
+                }),
                 timestamp: Date.now(),
               },
-              null // include sender is fine; clients can render everyone
+              // include sender is fine in Move; Draw shows others only
+              isDrawPointer ? ws : null
             );
           }
           break;
@@ -408,6 +1393,7 @@ wss.on("connection", (ws) => {
             if (!points || points.length === 0) break;
 
             broadcastToRoom(
+              study,
               6,
               {
                 type: "face",
@@ -421,15 +1407,120 @@ wss.on("connection", (ws) => {
           break;
         }
 
+        case "face_expression": {
+          // Relayed to everyone in the room (sender included) to animate
+          // that face's trace; nothing is stored
+          if (currentRoom === 6 && participantId) {
+            broadcastToRoom(
+              study,
+              6,
+              {
+                type: "face_expression",
+                participantId,
+                expression: message.expression,
+                timestamp: Date.now(),
+              },
+              null
+            );
+          }
+          break;
+        }
+
         case "clear_drawing": {
-          // Room 4: Clear canvas
-          if (currentRoom === 4) {
-            drawingHistory = [];
-            broadcastToRoom(4, {
-              type: "clear_drawing",
-              participantId,
+          // Room 4: "Clear All", as far as the study's clear policy allows
+          if (currentRoom === 4 && participantId) {
+            const policy = getStudyConfig(study.id).clearPolicy;
+
+            if (policy === "researcher") {
+              sendError("clear_not_allowed", {
+                messageType: "clear_drawing",
+                policy,
+              });
+              notifyClearEvent(study, participantId, policy, "refused");
+            } else if (policy === "own") {
+              // Just the requester's strokes, like a stroke-eraser sweep
+              const strokeIds = [
+                ...study.drawing.compacted,
+                ...study.drawing.strokes,
+              ]
+                .filter((s) => s.participantId === participantId)
+                .map((s) => s.id);
+              if (strokeIds.length > 0) {
+                commitDrawingOp(study, {
+                  op: "erase",
+                  strokeIds,
+                  by: participantId,
+                });
+                broadcastToRoom(study, 4, {
+                  type: "strokes_erased",
+                  strokeIds,
+                  participantId,
+                });
+              }
+              notifyClearEvent(study, participantId, policy, "cleared", {
+                strokes: strokeIds.length,
+              });
+            } else if (policy === "vote") {
+              // Asking again while a vote is open counts as a yes
+              if (study.clearVote) {
+                castClearVote(study.clearVote, participantId, true);
+              } else {
+                const vote = startClearVote(
+                  participantId,
+                  study.rooms[4].keys()
+                );
+                vote.timer = setTimeout(() => {
+                  if (study.clearVote === vote) endClearVote(study, "expired");
+                }, CLEAR_VOTE_MS);
+                study.clearVote = vote;
+              }
+              updateClearVote(study);
+            } else {
+              clearCanvas(study, participantId);
+              notifyClearEvent(study, participantId, policy, "cleared");
+            }
+          }
+          break;
+        }
+
+        case "clear_vote": {
+          // Room 4: A present participant's answer to the open clear vote
+          const vote = study.clearVote;
+          if (
+            currentRoom === 4 &&
+            participantId &&
+            vote?.id === message.voteId &&
+            castClearVote(vote, participantId, message.approve)
+          ) {
+            updateClearVote(study);
+          }
+          break;
+        }
+
+        // ==================== Admin dashboard ====================
+
+        case "admin_subscribe": {
+          // Researcher dashboard: authenticate, then stream this study's activity
+          const adminStudyId = sanitizeStudyId(message.studyId);
+          if (!isAdminToken(message.token)) {
+            sendError("unauthorized", { messageType: "admin_subscribe" });
+            break;
+          }
+          if (!adminStudyId) {
+            sendError("unknown_study", {
+              messageType: "admin_subscribe",
+              studyId: message.studyId,
             });
+            break;
           }
+          ws.adminStudyId = adminStudyId;
+          ws.send(
+            JSON.stringify({
+              type: "admin_snapshot",
+              snapshot: getAdminSnapshot(getStudy(adminStudyId)),
+            })
+          );
+          console.log(`[Admin] Dashboard subscribed to ${adminStudyId}`);
           break;
         }
 
@@ -439,22 +1530,17 @@ wss.on("connection", (ws) => {
         }
 
         default:
-          console.log("[WS] Unknown message type:", message.type);
+          // Unreachable: validateMessage rejects unknown types
+          console.log("[WS] Unhandled message type:", message.type);
       }
     } catch (err) {
-      console.error("[WS] Error parsing message:", err);
+      console.error("[WS] Error handling message:", err);
     }
   });
 
   ws.on("close", () => {
-    if (currentRoom !== null && rooms[currentRoom] && participantId) {
-      rooms[currentRoom].delete(participantId);
-      broadcastToRoom(currentRoom, {
-        type: "user_left",
-        participantId,
-        roomId: currentRoom,
-      });
-      broadcastPresence();
+    if (leaveCurrentRoom()) {
+      broadcastPresence(study);
     }
     console.log("[WS] Client disconnected:", participantId || "unknown");
   });
@@ -464,9 +1550,31 @@ wss.on("connection", (ws) => {
   });
 });
 
+// Restore persisted canvases on boot, then snapshot periodically
+listStoredDrawings().forEach((studyId) => {
+  if (KNOWN_STUDY_IDS.has(studyId)) {
+    getStudy(studyId);
+  } else {
+    console.warn(`[Drawing] Not restoring canvas of unknown study ${studyId}`);
+  }
+});
+setInterval(snapshotDrawings, DRAWING_SNAPSHOT_INTERVAL_MS);
+setInterval(tickMoveObjects, MOVE_TICK_MS);
+setInterval(() => exportLimiter.prune(), 60000);
+
+// Final snapshot on redeploy / Ctrl+C so the WAL stays short
+["SIGTERM", "SIGINT"].forEach((signal) => {
+  process.on(signal, () => {
+    console.log(`\n[Server] ${signal} received, saving drawings...`);
+    snapshotDrawings();
+    process.exit(0);
+  });
+});
+
 // Start server (0.0.0.0 for cloud deployment)
 server.listen(PORT, "0.0.0.0", () => {
   console.log(`\n🔬 Research Prototype Server`);
   console.log(`   WebSocket: ws://0.0.0.0:${PORT}`);
-  console.log(`   Health: http://0.0.0.0:${PORT}/health\n`);
+  console.log(`   Health: http://0.0.0.0:${PORT}/health`);
+  console.log(`   Sessions: http://0.0.0.0:${PORT}/sessions\n`);
 });
@@ -0,0 +1,366 @@
+/**
+ * WebSocket Message Schemas
+ * Declarative shape + rate limit for every client -> server message type.
+ * The server validates each frame against these before acting on it.
+ *
+ * Field spec:
+ *   type      "string" | "number" | "integer" | "boolean" | "object" | "array"
+ *   required  reject the message if missing (null counts as missing)
+ *   min/max   numeric bounds
+ *   maxLength / pattern / enum   string constraints
+ *   fields    nested field specs for objects (unknown keys rejected)
+ *   maxBytes  size cap for opaque objects (e.g. SDP offers)
+ *   items / minItems / maxItems  array constraints
+ *
+ * Rate: token bucket per connection and type; `burst` tokens, refilled at `perSecond`.
+ */
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const STUDY_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{3,8}$/;
+
+// Normalized point (Room 5 cursor, Room 6 face)
+const UNIT_POINT = {
+  type: "object",
+  fields: {
+    x: { type: "number", min: 0, max: 1, required: true },
+    y: { type: "number", min: 0, max: 1, required: true },
+  },
+};
+
+// Room 4 drawing point, normalized to the 4:3 drawing space; `p` = stylus
+// pressure
+const DRAW_POINT = {
+  type: "object",
+  fields: {
+    x: { type: "number", min: 0, max: 1, required: true },
+    y: { type: "number", min: 0, max: 1, required: true },
+    p: { type: "number", min: 0, max: 1 },
+  },
+};
+
+// Shape tools send their outline as points, like the pen
+const DRAW_TOOLS = ["pen", "line", "rect", "ellipse", "eraser"];
+
+// Room 6 expression signals, detected on the participant's device
+export const FACE_EXPRESSIONS = [
+  "smile",
+  "browRaise",
+  "mouthOpen",
+  "nod",
+  "shake",
+];
+
+const SIGNAL_TARGET = { type: "string", pattern: ID_PATTERN, required: true };
+
+export const MESSAGE_SCHEMAS = {
+  join: {
+    fields: {
+      roomId: { type: "integer", min: 1, max: 6, required: true },
+      participantId: { type: "string", pattern: ID_PATTERN, required: true },
+      studyId: { type: "string", pattern: STUDY_PATTERN },
+    },
+    rate: { burst: 10, perSecond: 2 },
+  },
+
+  leave: {
+    fields: {},
+    rate: { burst: 10, perSecond: 2 },
+  },
+
+  ping: {
+    fields: {},
+    rate: { burst: 5, perSecond: 1 },
+  },
+
+  admin_subscribe: {
+    fields: {
+      token: { type: "string", maxLength: 256, required: true },
+      studyId: { type: "string", maxLength: 64, required: true },
+    },
+    rate: { burst: 5, perSecond: 0.2 },
+  },
+
+  // WebRTC signaling (payloads are opaque to the server, only size-capped)
+  rtc_offer: {
+    fields: {
+      targetId: SIGNAL_TARGET,
+      offer: { type: "object", maxBytes: 32 * 1024, required: true },
+    },
+    rate: { burst: 20, perSecond: 5 },
+  },
+
+  rtc_answer: {
+    fields: {
+      targetId: SIGNAL_TARGET,
+      answer: { type: "object", maxBytes: 32 * 1024, required: true },
+    },
+    rate: { burst: 20, perSecond: 5 },
+  },
+
+  rtc_ice_candidate: {
+    fields: {
+      targetId: SIGNAL_TARGET,
+      candidate: { type: "object", maxBytes: 4 * 1024 },
+    },
+    rate: { burst: 100, perSecond: 50 },
+  },
+
+  // Room 3: Talk
+  message: {
+    fields: {
+      messageId: { type: "string", maxLength: 128, required: true },
+      kind: { type: "string", enum: ["text", "icon"] },
+      text: { type: "string", maxLength: 500 },
+      iconId: { type: "string", maxLength: 100 },
+    },
+    rate: { burst: 10, perSecond: 2 },
+  },
+
+  // Room 4: Draw
+  draw_stroke: {
+    fields: {
+      strokeId: { type: "string", maxLength: 128, required: true },
+      points: {
+        type: "array",
+        items: DRAW_POINT,
+        minItems: 1,
+        maxItems: 2000,
+        required: true,
+      },
+      color: { type: "string", pattern: COLOR_PATTERN },
+      // In 1/1000 of the drawing width
+      width: { type: "number", min: 0.5, max: 200 },
+      tool: { type: "string", enum: DRAW_TOOLS },
+    },
+    rate: { burst: 30, perSecond: 15 },
+  },
+
+  // Points of a stroke still being drawn (client batches every ~50 ms);
+  // `index` numbers the batches of one stroke from 0
+  draw_stroke_partial: {
+    fields: {
+      strokeId: { type: "string", maxLength: 128, required: true },
+      index: { type: "integer", min: 0, max: 100000, required: true },
+      points: {
+        type: "array",
+        items: DRAW_POINT,
+        minItems: 1,
+        maxItems: 500,
+        required: true,
+      },
+      color: { type: "string", pattern: COLOR_PATTERN },
+      width: { type: "number", min: 0.5, max: 200 },
+      tool: { type: "string", enum: DRAW_TOOLS },
+    },
+    rate: { burst: 40, perSecond: 30 },
+  },
+
+  // Undo/redo act on the sender's own strokes only
+  undo_stroke: {
+    fields: {
+      strokeId: { type: "string", maxLength: 128, required: true },
+    },
+    rate: { burst: 20, perSecond: 10 },
+  },
+
+  redo_stroke: {
+    fields: {
+      strokeId: { type: "string", maxLength: 128, required: true },
+    },
+    rate: { burst: 20, perSecond: 10 },
+  },
+
+  // Stroke eraser: delete whole strokes (anyone's) the pointer touched
+  erase_strokes: {
+    fields: {
+      strokeIds: {
+        type: "array",
+        items: { type: "string", maxLength: 128 },
+        minItems: 1,
+        maxItems: 50,
+        required: true,
+      },
+    },
+    rate: { burst: 30, perSecond: 15 },
+  },
+
+  clear_drawing: {
+    fields: {},
+    rate: { burst: 3, perSecond: 0.2 },
+  },
+
+  // Answer to a "Clear All" vote (study clear policy "vote")
+  clear_vote: {
+    fields: {
+      voteId: { type: "string", maxLength: 64, required: true },
+      approve: { type: "boolean", required: true },
+    },
+    rate: { burst: 10, perSecond: 2 },
+  },
+
+  // "Save image": asks for a one-time ticket for GET /drawing/export
+  drawing_export_ticket: {
+    fields: {},
+    rate: { burst: 3, perSecond: 0.2 },
+  },
+
+  // Room 5: Move (client sends at up to 30 fps); also Room 4 pointers
+  cursor: {
+    fields: {
+      x: { type: "number", min: 0, max: 1, required: true },
+      y: { type: "number", min: 0, max: 1, required: true },
+      active: { type: "boolean" },
+      pointerType: { type: "string", maxLength: 16 },
+      // Room 5: stage width / height, for contact with the balls
+      aspect: { type: "number", min: 0.1, max: 10 },
+      // Room 5: every pointer on the stage (multi-touch); x/y is the first
+      pointers: {
+        type: "array",
+        items: {
+          type: "object",
+          fields: {
+            id: { type: "integer", min: 0, max: 2 ** 31 - 1, required: true },
+            x: { type: "number", min: 0, max: 1, required: true },
+            y: { type: "number", min: 0, max: 1, required: true },
+          },
+        },
+        maxItems: 10,
+      },
+    },
+    rate: { burst: 60, perSecond: 40 },
+  },
+
+  // Room 6: Face (client sends at ~12 fps)
+  face: {
+    fields: {
+      points: {
+        type: "array",
+        items: UNIT_POINT,
+        minItems: 1,
+        maxItems: 64,
+        required: true,
+      },
+    },
+    rate: { burst: 30, perSecond: 20 },
+  },
+
+  // Room 6: one coarse expression event (never landmarks or images)
+  face_expression: {
+    fields: {
+      expression: { type: "string", enum: FACE_EXPRESSIONS, required: true },
+    },
+    rate: { burst: 5, perSecond: 2 },
+  },
+};
+
+// Validate one value against a field spec; returns an error string or null
+function validateField(value, spec, path) {
+  if (value === undefined || value === null) {
+    return spec.required ? `${path} is required` : null;
+  }
+
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string") return `${path} must be a string`;
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return `${path} is too long (max ${spec.maxLength})`;
+      }
+      if (spec.pattern && !spec.pattern.test(value)) {
+        return `${path} has an invalid format`;
+      }
+      if (spec.enum && !spec.enum.includes(value)) {
+        return `${path} must be one of ${spec.enum.join(", ")}`;
+      }
+      return null;
+
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return `${path} must be a number`;
+      }
+      if (spec.type === "integer" && !Number.isInteger(value)) {
+        return `${path} must be an integer`;
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return `${path} must be >= ${spec.min}`;
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return `${path} must be <= ${spec.max}`;
+      }
+      return null;
+
+    case "boolean":
+      return typeof value === "boolean" ? null : `${path} must be a boolean`;
+
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return `${path} must be an object`;
+      }
+      if (spec.maxBytes !== undefined) {
+        if (JSON.stringify(value).length > spec.maxBytes) {
+          return `${path} is too large (max ${spec.maxBytes} bytes)`;
+        }
+      }
+      if (spec.fields) {
+        for (const key of Object.keys(value)) {
+          if (!spec.fields[key]) return `${path}.${key} is not allowed`;
+        }
+        return validateFields(value, spec.fields, path);
+      }
+      return null;
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) return `${path} must be an array`;
+      if (spec.minItems !== undefined && value.length < spec.minItems) {
+        return `${path} needs at least ${spec.minItems} items`;
+      }
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+        return `${path} has too many items (max ${spec.maxItems})`;
+      }
+      if (spec.items) {
+        for (let i = 0; i < value.length; i++) {
+          const err = validateField(value[i], spec.items, `${path}[${i}]`);
+          if (err) return err;
+        }
+      }
+      return null;
+    }
+
+    default:
+      return `${path} has an unsupported schema type`;
+  }
+}
+
+function validateFields(obj, fields, prefix = "") {
+  for (const [key, spec] of Object.entries(fields)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const err = validateField(obj[key], spec, path);
+    if (err) return err;
+  }
+  return null;
+}
+
+/**
+ * Validate a parsed client message.
+ * Returns { ok: true, schema } or { ok: false, code, detail }.
+ * Unknown top-level keys are ignored (the server only reads known fields).
+ */
+export function validateMessage(message) {
+  if (!message || typeof message !== "object" || Array.isArray(message)) {
+    return { ok: false, code: "invalid_message", detail: "Not an object" };
+  }
+
+  const schema = Object.hasOwn(MESSAGE_SCHEMAS, message.type)
+    ? MESSAGE_SCHEMAS[message.type]
+    : null;
+  if (!schema) {
+    return { ok: false, code: "unknown_type", detail: "Unknown message type" };
+  }
+
+  const err = validateFields(message, schema.fields);
+  if (err) return { ok: false, code: "invalid_message", detail: err };
+
+  return { ok: true, schema };
+}
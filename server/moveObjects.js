@@ -0,0 +1,234 @@
+/**
+ * Move Objects
+ * A few soft balls in the Move room (Room 5) that participants' pointers push
+ * around. The server owns their positions: cursor messages update the
+ * pointers, a fixed tick steps the physics and the room gets the result.
+ *
+ * Positions are in the normalized stage (0..1 on both axes), like cursors.
+ * Radii are in units of the stage's shorter side, as the room draws them, so
+ * pointer contact is tested in the pushing participant's own stage shape
+ * (their cursor messages carry its aspect ratio).
+ * A push is a pointer touching a ball anew, or moving while touching it; a
+ * pointer held still against a ball only blocks it. When two participants
+ * push the same ball within JOINT_PUSH_WINDOW_MS of each other, that is a
+ * joint push (counted at most once per window for the same pair and ball).
+ * State only - the tick timer and broadcasting live in index.js.
+ */
+
+export const MOVE_TICK_MS = 50;
+export const BALL_RADIUS = 0.05;
+export const JOINT_PUSH_WINDOW_MS = 1500;
+
+const BALL_COUNT = 3;
+// Contact size of a pointer
+const POINTER_RADIUS = 0.02;
+// Share of its velocity a ball keeps per second (the rest is friction)
+const VELOCITY_KEPT_PER_S = 0.25;
+// Share of its velocity a ball keeps when bouncing off a wall
+const WALL_BOUNCE = 0.6;
+// Stage widths per second
+const MAX_SPEED = 2;
+const REST_SPEED = 0.002;
+// Pointers not updated for this long no longer push (lost connection); held
+// still, clients repeat them about every second
+const POINTER_STALE_MS = 2500;
+// A pointer moves (passes on its speed, counts as pushing) only this long
+// after an update, and above this speed (stage widths per second)
+const POINTER_MOTION_MS = 200;
+const POINTER_MIN_SPEED = 0.05;
+
+export function createMoveObjects() {
+  const balls = [];
+  for (let i = 0; i < BALL_COUNT; i++) {
+    // Spread around the central orb
+    const angle = (i / BALL_COUNT) * 2 * Math.PI - Math.PI / 2;
+    balls.push({
+      id: `ball${i}`,
+      x: 0.5 + 0.3 * Math.cos(angle),
+      y: 0.5 + 0.3 * Math.sin(angle),
+      vx: 0,
+      vy: 0,
+      pushes: new Map(), // participantId -> last push time
+      jointAt: new Map(), // "a|b" participant pair -> last joint push time
+    });
+  }
+  return {
+    balls,
+    // participantId -> { points: Map(pointerId -> {x, y, vx, vy, touching}),
+    // aspect, at }; `touching`: ids of the balls it touched last tick
+    pointers: new Map(),
+  };
+}
+
+// A participant's pointers on the stage ([] = none), with their velocity
+// estimated from the previous update; `aspect` = their stage width / height
+export function setMovePointers(state, participantId, points, at, aspect = 1) {
+  if (points.length === 0) {
+    state.pointers.delete(participantId);
+    return;
+  }
+  const previous = state.pointers.get(participantId);
+  const dt = previous ? (at - previous.at) / 1000 : 0;
+  const next = new Map();
+  points.forEach(({ id, x, y }) => {
+    const before = previous?.points.get(id);
+    const moved = before && dt > 0;
+    next.set(id, {
+      x,
+      y,
+      vx: moved ? (x - before.x) / dt : 0,
+      vy: moved ? (y - before.y) / dt : 0,
+      touching: before?.touching || new Set(),
+    });
+  });
+  state.pointers.set(participantId, { points: next, aspect, at });
+}
+
+function capSpeed(ball) {
+  const speed = Math.hypot(ball.vx, ball.vy);
+  if (speed > MAX_SPEED) {
+    ball.vx *= MAX_SPEED / speed;
+    ball.vy *= MAX_SPEED / speed;
+  } else if (speed < REST_SPEED) {
+    ball.vx = 0;
+    ball.vy = 0;
+  }
+}
+
+// Record a push on a ball; returns the joint pushes it completes
+function recordPush(ball, participantId, now) {
+  const joint = [];
+  ball.pushes.forEach((at, otherId) => {
+    if (otherId === participantId || now - at > JOINT_PUSH_WINDOW_MS) return;
+    const pair = [participantId, otherId].sort();
+    const key = pair.join("|");
+    if (now - (ball.jointAt.get(key) ?? -Infinity) <= JOINT_PUSH_WINDOW_MS) {
+      return;
+    }
+    ball.jointAt.set(key, now);
+    joint.push({ objectId: ball.id, participants: pair });
+  });
+  ball.pushes.set(participantId, now);
+  return joint;
+}
+
+// Pointers overlapping a ball push it out along the contact normal and pass
+// on their speed towards it (`moving` false: it only blocks). Worked out in
+// units of the stage's shorter side, scaled by `sx`/`sy` from normalized.
+function pushBall(ball, pointer, sx, sy, moving) {
+  const dx = (ball.x - pointer.x) * sx;
+  const dy = (ball.y - pointer.y) * sy;
+  const distance = Math.hypot(dx, dy);
+  const reach = BALL_RADIUS + POINTER_RADIUS;
+  if (distance >= reach) return false;
+
+  const nx = distance > 0 ? dx / distance : 0;
+  const ny = distance > 0 ? dy / distance : -1;
+  ball.x = pointer.x + (nx * reach) / sx;
+  ball.y = pointer.y + (ny * reach) / sy;
+  const pointerSpeed = moving ? pointer.vx * sx * nx + pointer.vy * sy * ny : 0;
+  const ballSpeed = ball.vx * sx * nx + ball.vy * sy * ny;
+  if (pointerSpeed > ballSpeed) {
+    ball.vx += ((pointerSpeed - ballSpeed) * nx) / sx;
+    ball.vy += ((pointerSpeed - ballSpeed) * ny) / sy;
+  }
+  return true;
+}
+
+// Equal-mass elastic collision between two balls
+function collideBalls(a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const distance = Math.hypot(dx, dy);
+  if (distance >= 2 * BALL_RADIUS || distance === 0) return;
+
+  const nx = dx / distance;
+  const ny = dy / distance;
+  const overlap = (2 * BALL_RADIUS - distance) / 2;
+  a.x -= nx * overlap;
+  a.y -= ny * overlap;
+  b.x += nx * overlap;
+  b.y += ny * overlap;
+  const closing = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny;
+  if (closing > 0) {
+    a.vx -= closing * nx;
+    a.vy -= closing * ny;
+    b.vx += closing * nx;
+    b.vy += closing * ny;
+  }
+}
+
+function bounceOffWalls(ball) {
+  const min = BALL_RADIUS;
+  const max = 1 - BALL_RADIUS;
+  if (ball.x < min || ball.x > max) {
+    ball.x = Math.min(max, Math.max(min, ball.x));
+    ball.vx = -ball.vx * WALL_BOUNCE;
+  }
+  if (ball.y < min || ball.y > max) {
+    ball.y = Math.min(max, Math.max(min, ball.y));
+    ball.vy = -ball.vy * WALL_BOUNCE;
+  }
+}
+
+/**
+ * Advance the balls by one tick.
+ * Returns { moved, jointPushes: [{ objectId, participants: [a, b] }] }.
+ */
+export function stepMoveObjects(state, dtMs, now) {
+  const dt = dtMs / 1000;
+  const before = state.balls.map((ball) => [ball.x, ball.y]);
+  const jointPushes = [];
+
+  state.pointers.forEach(({ points, aspect, at }, participantId) => {
+    if (now - at > POINTER_STALE_MS) return;
+    // Normalized -> units of this participant's shorter stage side
+    const shorter = Math.min(aspect, 1);
+    const sx = aspect / shorter;
+    const sy = 1 / shorter;
+    const recent = now - at <= POINTER_MOTION_MS;
+    state.balls.forEach((ball) => {
+      let pushed = false;
+      points.forEach((pointer) => {
+        const moving =
+          recent && Math.hypot(pointer.vx, pointer.vy) >= POINTER_MIN_SPEED;
+        if (!pushBall(ball, pointer, sx, sy, moving)) {
+          pointer.touching.delete(ball.id);
+          return;
+        }
+        if (moving || !pointer.touching.has(ball.id)) pushed = true;
+        pointer.touching.add(ball.id);
+      });
+      if (pushed) jointPushes.push(...recordPush(ball, participantId, now));
+    });
+  });
+
+  const kept = Math.pow(VELOCITY_KEPT_PER_S, dt);
+  state.balls.forEach((ball) => {
+    capSpeed(ball);
+    ball.x += ball.vx * dt;
+    ball.y += ball.vy * dt;
+    ball.vx *= kept;
+    ball.vy *= kept;
+  });
+  for (let i = 0; i < state.balls.length; i++) {
+    for (let j = i + 1; j < state.balls.length; j++) {
+      collideBalls(state.balls[i], state.balls[j]);
+    }
+  }
+  state.balls.forEach(bounceOffWalls);
+
+  const moved = state.balls.some(
+    (ball, i) => ball.x !== before[i][0] || ball.y !== before[i][1]
+  );
+  return { moved, jointPushes };
+}
+
+// Ball positions as sent to the room
+export function describeMoveObjects(state) {
+  return state.balls.map(({ id, x, y }) => ({
+    id,
+    x: Math.round(x * 10000) / 10000,
+    y: Math.round(y * 10000) / 10000,
+  }));
+}
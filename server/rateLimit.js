@@ -0,0 +1,53 @@
+/**
+ * Rate Limiting
+ * Token buckets per connection and message type, configured by the
+ * `rate` entry of each schema in messageSchema.js. HTTP routes use one
+ * limiter keyed by client address instead.
+ */
+
+/**
+ * Create the limiter for one connection.
+ * `take(type, rate)` returns 0 when the message may proceed, otherwise the
+ * number of ms until a token is available. `prune()` forgets buckets that
+ * have refilled (for long-lived limiters with many keys).
+ */
+export function createRateLimiter() {
+  const buckets = new Map(); // type -> { tokens, updatedAt, rate }
+
+  return {
+    take(type, rate) {
+      if (!rate) return 0;
+
+      const now = Date.now();
+      let bucket = buckets.get(type);
+      if (!bucket) {
+        bucket = { tokens: rate.burst, updatedAt: now, rate };
+        buckets.set(type, bucket);
+      }
+
+      // Refill for the time elapsed since the last message of this type
+      const elapsedSec = (now - bucket.updatedAt) / 1000;
+      bucket.tokens = Math.min(
+        rate.burst,
+        bucket.tokens + elapsedSec * rate.perSecond
+      );
+      bucket.updatedAt = now;
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return 0;
+      }
+      return Math.ceil(((1 - bucket.tokens) / rate.perSecond) * 1000);
+    },
+
+    // A full bucket is the same as no bucket
+    prune() {
+      const now = Date.now();
+      buckets.forEach((bucket, type) => {
+        const { burst, perSecond } = bucket.rate;
+        const refillMs = ((burst - bucket.tokens) / perSecond) * 1000;
+        if (now - bucket.updatedAt >= refillMs) buckets.delete(type);
+      });
+    },
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * Session Store
+ * Append-only NDJSON log of session payloads posted by clients.
+ * One JSON object per line; never rewritten, only appended.
+ */
+
+/* global Buffer */
+
+import { appendFile, mkdir, open, readFile } from "fs/promises";
+import { DATA_DIR } from "./dataDir.js";
+import path from "path";
+import { randomUUID } from "crypto";
+
+const SESSIONS_FILE = path.join(DATA_DIR, "sessions.ndjson");
+
+// A Google Sheets cell holds at most 50,000 characters; the client cuts its
+// per-visit strings (e.g. moveByVisit, roomSequence) to fit
+const MAX_STRING_LENGTH = 50000;
+const MAX_FIELDS = 200;
+
+// Fields every payload must carry (see postSessionData in src/hooks/useSession.js)
+const REQUIRED_FIELDS = {
+  participantId: "string",
+  sessionStart: "string",
+  isFinal: "boolean",
+};
+
+/**
+ * Validate a session payload.
+ * Payloads are flat rows (one spreadsheet row per post), so every value
+ * must be a primitive. Returns a list of problems; empty means valid.
+ */
+export function validateSessionPayload(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return ["Payload must be a JSON object"];
+  }
+
+  const errors = [];
+  const keys = Object.keys(payload);
+  if (keys.length > MAX_FIELDS) {
+    errors.push(`Too many fields (max ${MAX_FIELDS})`);
+  }
+
+  for (const [field, type] of Object.entries(REQUIRED_FIELDS)) {
+    if (typeof payload[field] !== type) {
+      errors.push(`${field} must be a ${type}`);
+    }
+  }
+
+  if (
+    typeof payload.participantId === "string" &&
+    !/^[A-Za-z0-9_-]{1,64}$/.test(payload.participantId)
+  ) {
+    errors.push("participantId has an invalid format");
+  }
+
+  if (
+    typeof payload.sessionStart === "string" &&
+    Number.isNaN(Date.parse(payload.sessionStart))
+  ) {
+    errors.push("sessionStart must be an ISO date");
+  }
+
+  for (const key of keys) {
+    const value = payload[key];
+    if (value === null) continue;
+    if (typeof value === "number") {
+      if (!Number.isFinite(value)) errors.push(`${key} must be finite`);
+    } else if (typeof value === "string") {
+      if (value.length > MAX_STRING_LENGTH) {
+        errors.push(`${key} is too long (max ${MAX_STRING_LENGTH})`);
+      }
+    } else if (typeof value !== "boolean") {
+      errors.push(`${key} must be a string, number, boolean or null`);
+    }
+  }
+
+  return errors;
+}
+
+// Whether the log ends without a newline (a crash mid-append left a torn line)
+async function endsMidLine() {
+  let handle;
+  try {
+    handle = await open(SESSIONS_FILE, "r");
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+  try {
+    const { size } = await handle.stat();
+    if (size === 0) return false;
+    const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+    return buffer[0] !== 0x0a;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Append a validated payload to the log.
+ * Returns the stored record (payload plus receipt metadata).
+ */
+export async function appendSession(payload) {
+  const record = {
+    ...payload,
+    receiptId: randomUUID(),
+    receivedAt: new Date().toISOString(),
+  };
+
+  await mkdir(DATA_DIR, { recursive: true });
+  // Start on a fresh line after a torn one, so only the fragment is lost
+  const prefix = (await endsMidLine()) ? "\n" : "";
+  await appendFile(
+    SESSIONS_FILE,
+    prefix + JSON.stringify(record) + "\n",
+    "utf8"
+  );
+  return record;
+}
+
+/**
+ * Read all stored records, optionally filtered.
+ * A torn last line (crash mid-append) is skipped rather than failing the read.
+ */
+export async function listSessions({
+  participantId = null,
+  studyId = null,
+} = {}) {
+  let text;
+  try {
+    text = await readFile(SESSIONS_FILE, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const records = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (participantId && record.participantId !== participantId) continue;
+      if (studyId && (record.studyId || "main") !== studyId) continue;
+      records.push(record);
+    } catch {
+      console.warn("[Sessions] Skipping unreadable line");
+    }
+  }
+  return records;
+}
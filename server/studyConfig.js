@@ -0,0 +1,87 @@
+/**
+ * Study Config
+ * Per-study settings chosen by the researchers (privacy switches, conditions).
+ * Read once at boot from a JSON file keyed by study id, e.g.
+ *
+ *   { "strict": { "artifactCapture": false } }
+ *
+ * File: STUDY_CONFIG (default server/studies.json); missing = all defaults.
+ * Clients receive their study's settings in a `study_config` message.
+ */
+
+/* global process */
+
+import { existsSync, readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import path from "path";
+
+const CONFIG_FILE =
+  process.env.STUDY_CONFIG ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "studies.json");
+
+export const DEFAULT_STUDY_CONFIG = {
+  // Drawing export (participant "Save image", GET /drawing/export)
+  artifactCapture: true,
+  // Anonymous live pointer dots in the Draw room (co-presence condition)
+  drawPointers: false,
+  // Who a Draw-room "Clear All" clears for (see SETTING_CHOICES)
+  clearPolicy: "anyone",
+  // Move-room proximity feedback participants can opt into
+  moveFeedback: "off",
+};
+
+// Allowed values of string settings
+const SETTING_CHOICES = {
+  // anyone: whole canvas at once; own: only the requester's strokes;
+  // vote: majority of those present; researcher: dashboard reset only
+  clearPolicy: ["anyone", "own", "vote", "researcher"],
+  moveFeedback: ["off", "sound", "haptic", "both"],
+};
+
+// Keep only known keys whose type (and choice) matches the default
+function sanitizeConfig(studyId, raw) {
+  const config = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    if (!Object.hasOwn(DEFAULT_STUDY_CONFIG, key)) {
+      console.warn(`[Config] Unknown setting "${key}" for study ${studyId}`);
+    } else if (typeof value !== typeof DEFAULT_STUDY_CONFIG[key]) {
+      console.warn(`[Config] Ignoring ${studyId}.${key}: wrong type`);
+    } else if (SETTING_CHOICES[key] && !SETTING_CHOICES[key].includes(value)) {
+      console.warn(
+        `[Config] Ignoring ${studyId}.${key}: expected one of ${SETTING_CHOICES[key].join(", ")}`
+      );
+    } else {
+      config[key] = value;
+    }
+  }
+  return config;
+}
+
+function loadConfigFile() {
+  if (!existsSync(CONFIG_FILE)) return {};
+  try {
+    const parsed = JSON.parse(readFileSync(CONFIG_FILE, "utf8"));
+    const configs = {};
+    for (const [studyId, raw] of Object.entries(parsed)) {
+      configs[studyId] = sanitizeConfig(studyId, raw);
+    }
+    console.log(`[Config] Loaded study settings from ${CONFIG_FILE}`);
+    return configs;
+  } catch (err) {
+    // Fail loudly: silently falling back could switch a privacy setting on
+    console.error(`[Config] Unreadable ${CONFIG_FILE}:`, err);
+    process.exit(1);
+  }
+}
+
+const fileConfigs = loadConfigFile();
+
+// Effective settings for a study (defaults + its entry in the file)
+export function getStudyConfig(studyId) {
+  return { ...DEFAULT_STUDY_CONFIG, ...(fileConfigs[studyId] || {}) };
+}
+
+// Study ids that have an entry in the file
+export function listConfiguredStudies() {
+  return Object.keys(fileConfigs);
+}
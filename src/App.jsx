@@ -30,6 +30,12 @@ function App() {
     recordSpeakingEvent,
     recordMessageSent,
     recordStroke,
+    recordErase,
+    recordMove,
+    recordFace,
+    recordToolUse,
+    recordUndo,
+    recordRedo,
     recordIdleTimeWithOthers,
     hasInteracted,
     finishSession,
@@ -40,18 +46,35 @@ function App() {
   // WebSocket connection
   const {
     isConnected,
+    studyRejected,
     presenceCounts,
+    studyConfig,
     incomingMessages,
     drawingStrokes,
+    drawingBase,
+    drawingResets,
+    liveStrokes,
+    clearVote,
+    rejectedStroke,
     cursorStates,
+    moveObjects,
+    jointPushCount,
     faceStates,
+    faceExpressions,
     joinRoom: wsJoinRoom,
     leaveRoom: wsLeaveRoom,
     sendMessage: wsSendMessage,
     sendStroke: wsSendStroke,
+    sendStrokePartial: wsSendStrokePartial,
+    eraseStrokes: wsEraseStrokes,
+    undoStroke: wsUndoStroke,
+    redoStroke: wsRedoStroke,
     sendCursor: wsSendCursor,
     sendFace: wsSendFace,
+    sendFaceExpression: wsSendFaceExpression,
     clearDrawing: wsClearDrawing,
+    sendClearVote: wsSendClearVote,
+    requestExportTicket: wsRequestExportTicket,
     clearMessages: wsClearMessages,
     getPresenceCount,
   } = useWebSocket(session.participantId);
@@ -114,6 +137,25 @@ function App() {
   const currentRoomPresence =
     session.currentRoom !== null ? getPresenceCount(session.currentRoom) : 0;
 
+  // Wrong study link: nothing else runs, so no data reaches another study
+  if (studyRejected) {
+    return (
+      <div className="app">
+        <div className="app-container">
+          <div className="lobby">
+            <header className="lobby-header">
+              <h1>Study link not recognised</h1>
+              <p>
+                This link doesn't point to a running study. Please check the
+                link you were given, or ask the researcher for a new one.
+              </p>
+            </header>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="app">
       <div className="app-container">
@@ -138,18 +180,40 @@ function App() {
               onSpeakingEvent={recordSpeakingEvent}
               onMessageSent={recordMessageSent}
               onStroke={recordStroke}
+              onErase={recordErase}
+              onToolUse={recordToolUse}
+              onMove={recordMove}
+              onFace={recordFace}
+              onUndo={recordUndo}
+              onRedo={recordRedo}
               onIdleWithOthers={recordIdleTimeWithOthers}
               hasInteracted={hasInteracted}
               // WebSocket data & callbacks
               sendWsMessage={wsSendMessage}
               incomingMessages={incomingMessages}
               cursorStates={cursorStates}
+              moveObjects={moveObjects}
+              jointPushCount={jointPushCount}
               sendCursor={wsSendCursor}
               faceStates={faceStates}
+              faceExpressions={faceExpressions}
               sendFace={wsSendFace}
+              sendFaceExpression={wsSendFaceExpression}
               drawingStrokes={drawingStrokes}
+              drawingBase={drawingBase}
+              drawingResets={drawingResets}
+              liveStrokes={liveStrokes}
               sendStroke={wsSendStroke}
+              sendStrokePartial={wsSendStrokePartial}
+              eraseStrokes={wsEraseStrokes}
+              studyConfig={studyConfig}
+              undoStroke={wsUndoStroke}
+              redoStroke={wsRedoStroke}
               clearDrawing={wsClearDrawing}
+              clearVote={clearVote}
+              rejectedStroke={rejectedStroke}
+              sendClearVote={wsSendClearVote}
+              requestExportTicket={wsRequestExportTicket}
             />
             <RoomSwitcher
               isOpen={isSwitcherOpen}
@@ -0,0 +1,298 @@
+/**
+ * Admin Dashboard
+ * Live researcher view (/admin): occupancy per room, anonymous participants,
+ * time in current room, room sequences and a join/leave feed.
+ * The Draw room card can reset the canvas or export it (PNG/SVG).
+ * Requires the server's ADMIN_TOKEN.
+ */
+
+import { useEffect, useState } from "react";
+
+import { API_URL } from "../config/api";
+import { ROOMS } from "../config/zones";
+import { STUDY_ID, sanitizeStudyId } from "../config/study";
+import { useAdminFeed } from "../hooks/useAdminFeed";
+
+const TOKEN_STORAGE_KEY = "research_admin_token";
+const ROOM_IDS = [1, 2, 3, 4, 5, 6];
+
+function roomLabel(roomId) {
+  return ROOMS[roomId]?.name || `Room ${roomId}`;
+}
+
+function formatDuration(ms) {
+  const totalSec = Math.max(0, Math.floor(ms / 1000));
+  const min = Math.floor(totalSec / 60);
+  const sec = totalSec % 60;
+  return `${min}:${String(sec).padStart(2, "0")}`;
+}
+
+function formatClock(ts) {
+  return new Date(ts).toLocaleTimeString();
+}
+
+// Feed text for a Draw-room clear request (see recordClearEvent on the server)
+function describeClear(ev) {
+  switch (ev.policy) {
+    case "own":
+      return `cleared their ${ev.strokes} stroke(s) in ${roomLabel(ev.roomId)}`;
+    case "vote":
+      return `asked to clear ${roomLabel(ev.roomId)}: vote ${ev.outcome} (${ev.yes} yes, ${ev.no} no of ${ev.voters})`;
+    case "researcher":
+      return ev.participantId
+        ? `tried to clear ${roomLabel(ev.roomId)} (researcher-only)`
+        : `reset ${roomLabel(ev.roomId)}`;
+    default:
+      return `cleared ${roomLabel(ev.roomId)}`;
+  }
+}
+
+export function AdminDashboard() {
+  const [token, setToken] = useState(
+    () => sessionStorage.getItem(TOKEN_STORAGE_KEY) || ""
+  );
+  const [tokenInput, setTokenInput] = useState("");
+  // The feed follows `studyId`; the field only applies it on Enter or blur
+  const [studyId, setStudyId] = useState(STUDY_ID);
+  const [studyInput, setStudyInput] = useState(STUDY_ID);
+  const [now, setNow] = useState(() => Date.now());
+  const [resetStatus, setResetStatus] = useState(null); // null | "resetting" | "done" | error text
+  const [exportStatus, setExportStatus] = useState(null); // null | "exporting" | error text
+
+  const { snapshot, status, clockOffsetMs } = useAdminFeed(
+    token,
+    sanitizeStudyId(studyId)
+  );
+
+  // Tick once a second so "time in room" stays live between updates
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleLogin = (e) => {
+    e.preventDefault();
+    const value = tokenInput.trim();
+    if (!value) return;
+    sessionStorage.setItem(TOKEN_STORAGE_KEY, value);
+    setToken(value);
+    setTokenInput("");
+  };
+
+  // Researcher-only canvas wipe (participants' "Clear All" is separate)
+  const handleResetDrawing = async () => {
+    const id = sanitizeStudyId(studyId);
+    if (!id || !window.confirm(`Reset the Draw canvas for "${id}"?`)) return;
+    setResetStatus("resetting");
+    try {
+      const res = await fetch(
+        `${API_URL}/admin/drawing/reset?study=${encodeURIComponent(id)}`,
+        { method: "POST", headers: { Authorization: `Bearer ${token}` } }
+      );
+      const body = await res.json().catch(() => ({}));
+      setResetStatus(res.ok ? "done" : body.error || `HTTP ${res.status}`);
+    } catch (err) {
+      setResetStatus(err.message);
+    }
+  };
+
+  // Canvas artifact; refused by the server if the study disables capture
+  const handleExportDrawing = async (format) => {
+    const id = sanitizeStudyId(studyId);
+    if (!id) return;
+    setExportStatus("exporting");
+    try {
+      const res = await fetch(
+        `${API_URL}/drawing/export?study=${encodeURIComponent(id)}&format=${format}`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        setExportStatus(body.error || `HTTP ${res.status}`);
+        return;
+      }
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `drawing-${id}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      setExportStatus(null);
+    } catch (err) {
+      setExportStatus(err.message);
+    }
+  };
+
+  const handleStudySubmit = (e) => {
+    e.preventDefault();
+    setStudyId(studyInput);
+  };
+
+  const handleLogout = () => {
+    sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+    setToken("");
+  };
+
+  if (!token || status === "unauthorized") {
+    return (
+      <div className="admin-dashboard">
+        <form className="admin-login" onSubmit={handleLogin}>
+          <h1>Researcher Dashboard</h1>
+          {status === "unauthorized" && (
+            <p className="admin-error">Token rejected by the server.</p>
+          )}
+          <input
+            type="password"
+            className="admin-input"
+            value={tokenInput}
+            onChange={(e) => setTokenInput(e.target.value)}
+            placeholder="Admin token"
+            autoFocus
+          />
+          <button type="submit" className="btn-grant">
+            Open dashboard
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  const serverNow = now + clockOffsetMs;
+  const participants = snapshot?.participants || [];
+  const events = [...(snapshot?.events || [])].reverse();
+
+  return (
+    <div className="admin-dashboard">
+      <header className="admin-header">
+        <h1>Researcher Dashboard</h1>
+        <div className="admin-controls">
+          <form onSubmit={handleStudySubmit}>
+            <label>
+              Study{" "}
+              <input
+                className="admin-input small"
+                value={studyInput}
+                onChange={(e) =>
+                  setStudyInput(e.target.value.trim().toLowerCase())
+                }
+                onBlur={() => setStudyId(studyInput)}
+              />
+            </label>
+          </form>
+          <span
+            className={`connection-status ${status === "live" ? "connected" : "disconnected"}`}
+          >
+            {status === "live" ? "● Live" : `○ ${status}`}
+          </span>
+          <button className="btn-cancel" onClick={handleLogout}>
+            Log out
+          </button>
+        </div>
+      </header>
+
+      <section className="admin-rooms">
+        {ROOM_IDS.map((roomId) => {
+          const occupants = snapshot?.rooms?.[roomId] || [];
+          return (
+            <div key={roomId} className="admin-room" data-room={roomId}>
+              <h3>
+                {roomLabel(roomId)}{" "}
+                <span className="admin-count">{occupants.length}</span>
+              </h3>
+              <ul>
+                {occupants.map((p) => (
+                  <li key={p.participantId}>
+                    <span className="admin-id">{p.participantId}</span>
+                    <span className="admin-time">
+                      {formatDuration(serverNow - p.joinedAt)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              {roomId === 4 && (
+                <div className="admin-room-actions">
+                  <button
+                    className="btn-cancel"
+                    onClick={handleResetDrawing}
+                    disabled={resetStatus === "resetting"}
+                  >
+                    Reset canvas
+                  </button>
+                  {resetStatus && resetStatus !== "resetting" && (
+                    <span className="admin-time">
+                      {resetStatus === "done" ? "Canvas reset" : resetStatus}
+                    </span>
+                  )}
+                  <button
+                    className="btn-cancel"
+                    onClick={() => handleExportDrawing("png")}
+                    disabled={exportStatus === "exporting"}
+                  >
+                    Export PNG
+                  </button>
+                  <button
+                    className="btn-cancel"
+                    onClick={() => handleExportDrawing("svg")}
+                    disabled={exportStatus === "exporting"}
+                  >
+                    Export SVG
+                  </button>
+                  {exportStatus && exportStatus !== "exporting" && (
+                    <span className="admin-error">{exportStatus}</span>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </section>
+
+      <div className="admin-columns">
+        <section className="admin-panel">
+          <h2>Participants</h2>
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>Room</th>
+                <th>Time in room</th>
+                <th>Sequence</th>
+              </tr>
+            </thead>
+            <tbody>
+              {participants.map((p) => (
+                <tr key={p.participantId}>
+                  <td className="admin-id">{p.participantId}</td>
+                  <td>{p.currentRoom ? roomLabel(p.currentRoom) : "—"}</td>
+                  <td>
+                    {p.joinedAt ? formatDuration(serverNow - p.joinedAt) : "—"}
+                  </td>
+                  <td>{p.roomSequence.join(" → ")}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+
+        <section className="admin-panel">
+          <h2>Activity</h2>
+          <ul className="admin-feed">
+            {events.map((ev) => (
+              <li key={`${ev.at}-${ev.participantId}-${ev.type}`}>
+                <span className="admin-time">{formatClock(ev.at)}</span>{" "}
+                <span className="admin-id">
+                  {ev.participantId ?? "Researcher"}
+                </span>{" "}
+                {ev.type === "clear"
+                  ? describeClear(ev)
+                  : `${ev.type === "join" ? "joined" : "left"} ${roomLabel(ev.roomId)}`}
+              </li>
+            ))}
+          </ul>
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -10,6 +10,7 @@ export function FinishView({ session, stats, onRestart }) {
   const [feedback, setFeedback] = useState("");
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isSubmitted, setIsSubmitted] = useState(false);
+  const [ack, setAck] = useState(null); // { ok, confirmed, receiptId } | null
 
   const handleFeedbackChange = (e) => {
     setFeedback(e.target.value);
@@ -20,7 +21,8 @@ export function FinishView({ session, stats, onRestart }) {
 
     try {
       // Submit session data with feedback
-      await postSessionData(session, feedback.trim(), true);
+      const result = await postSessionData(session, feedback.trim(), true);
+      setAck(result);
       setIsSubmitted(true);
     } catch (err) {
       console.error("[FinishView] Failed to submit:", err);
@@ -86,6 +88,17 @@ export function FinishView({ session, stats, onRestart }) {
           <div className="thank-you-content">
             <h2>Thank you!</h2>
             <p>Your feedback has been received.</p>
+            {ack?.confirmed && (
+              <p className="finish-receipt">
+                Data saved · receipt {ack.receiptId?.slice(0, 8)}
+              </p>
+            )}
+            {ack && !ack.ok && (
+              <p className="finish-receipt error">
+                Your data could not be saved ({ack.error}). Please let the
+                researcher know.
+              </p>
+            )}
             <button className="btn-restart" onClick={onRestart}>
               Start a new session
             </button>
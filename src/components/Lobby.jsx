@@ -1,10 +1,11 @@
 /**
  * Lobby Component
- * Shows 4 room cards with rules and real-time presence counts
- * Handles permission gates before entering Room 1 (camera) and Room 2 (mic)
+ * Shows the room cards with real-time presence counts
+ * Handles permission gates before entering Room 1 (camera) and Room 2 (mic),
+ * and the consent screen for Room 6 (Face)
  */
 
-import { ROOMS, roomRequiresPermission } from "../config/zones";
+import { ROOMS, roomConsent, roomRequiresPermission } from "../config/zones";
 import { useCallback, useState } from "react";
 
 export function Lobby({
@@ -27,8 +28,8 @@ export function Lobby({
         return;
       }
 
-      // Show permission modal
-      setPermissionModal({ roomId, permission });
+      // Show permission modal (with the room's consent text, if any)
+      setPermissionModal({ roomId, permission, consent: roomConsent(roomId) });
       setPermissionError(null);
     },
     [onEnterRoom]
@@ -138,6 +139,15 @@ export function Lobby({
                 access.
               </p>
 
+              {permissionModal.consent && (
+                <div className="permission-consent">
+                  <p>{ROOMS[permissionModal.roomId].rules}</p>
+                  <p>
+                    <strong>{permissionModal.consent}</strong>
+                  </p>
+                </div>
+              )}
+
               {permissionModal.permission === "microphone" && (
                 <div className="permission-note">
                   <p>
@@ -156,7 +166,7 @@ export function Lobby({
                   Cancel
                 </button>
                 <button className="btn-grant" onClick={handlePermissionGrant}>
-                  Allow & Enter
+                  {permissionModal.consent ? "Agree & Enter" : "Allow & Enter"}
                 </button>
               </div>
             </div>
@@ -4,12 +4,72 @@
  *
  * - Desktop: mouse cursor position is broadcast.
  * - Mobile: touch position becomes a soft dot; on release it fades out.
+ *   Every finger on the stage is its own dot (pointers keyed by pointerId).
+ * - Leaving the stage, releasing or backgrounding the tab sends
+ *   `active: false`; cursors not heard from for a while count as idle too
+ *   (pointers held still repeat their position, so they never go quiet).
+ * - Remote markers are played back slightly behind real time, interpolated
+ *   between their server-timestamped positions, so network jitter doesn't
+ *   show as stutter.
+ * - Moving markers leave short fading trails.
+ * - A few soft balls (positions owned by the server) can be pushed around
+ *   with any pointer; pushing one together with someone else is a joint push.
+ * - Optional proximity feedback (study condition `moveFeedback`, opted into
+ *   by the participant): a soft tone that swells as someone comes near our
+ *   pointer, and chime/vibration pulses - more often the closer they are,
+ *   and when someone enters the orb.
+ * - Reports our movement and closeness to others (onMove) for the session
+ *   metrics, in stage units (stage width = 1000).
  * - No names/IDs shown; only subtle color differences.
  */
 
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 
+import { useProximityFeedback } from "../hooks/useProximityFeedback";
+
 const SEND_FPS = 30;
+// A cursor with no update for this long counts as idle (closed laptop,
+// crashed tab, lost connection)
+const CURSOR_STALE_MS = 4000;
+// How often idle cursors are looked for
+const STALE_CHECK_MS = 500;
+// Our active pointers are resent at least this often even when held still,
+// well within CURSOR_STALE_MS
+const HEARTBEAT_MS = 1000;
+// How far back in time a marker's trail reaches
+const TRAIL_MS = 600;
+// Remote markers are shown this far in the past (about 2.5 send intervals),
+// so there is usually a newer position to interpolate towards
+const PLAYOUT_DELAY_MS = 80;
+// When that newer position is late, keep moving along the last velocity for
+// at most this long, then ease back onto the last known position
+const MAX_EXTRAPOLATE_MS = 50;
+// Pointer counts as moving for this long after its last move event
+const MOTION_HOLD_MS = 250;
+// Longer frame gaps (tab in background) are not counted as time
+const MAX_FRAME_MS = 250;
+// Coming within this distance of someone is an approach; it re-arms once
+// apart by the release distance again (stage units)
+const APPROACH_DISTANCE = 100;
+const APPROACH_RELEASE = 150;
+// How often movement metrics are handed to the session
+const MOVE_REPORT_MS = 2000;
+// Most pointers sent per cursor message (server schema limit)
+const MAX_POINTERS = 10;
+// Feedback starts when someone is this close to our pointer (stage units);
+// pulses repeat from every FEEDBACK_PULSE_MAX_MS at that distance down to
+// every FEEDBACK_PULSE_MIN_MS when touching
+const FEEDBACK_DISTANCE = 200;
+const FEEDBACK_PULSE_MAX_MS = 1200;
+const FEEDBACK_PULSE_MIN_MS = 300;
+// Pulse strength for someone entering the orb
+const ORB_ENTRY_STRENGTH = 0.5;
+
+const FEEDBACK_LABELS = {
+  sound: "Sound",
+  haptic: "Vibration",
+  both: "Sound & vibration",
+};
 
 function clamp01(n) {
   return Math.max(0, Math.min(1, n));
@@ -25,19 +85,198 @@ function colorFromId(id) {
   return `hsla(${hue}, 60%, 70%, 0.55)`;
 }
 
-export function Room5Move({ participantId, cursorStates, sendCursor }) {
+function lerpPoint(a, b, k) {
+  return { x: a.x + (b.x - a.x) * k, y: a.y + (b.y - a.y) * k };
+}
+
+// Position at `renderTime` (server clock) from a cursor's recent samples
+function samplePosition(samples, renderTime) {
+  const last = samples[samples.length - 1];
+  if (renderTime >= last.t) {
+    const prev = samples[samples.length - 2];
+    if (!prev || last.t <= prev.t) return last;
+    // Extrapolation rises to the cap and back, so a cursor that simply
+    // stopped settles where it stopped
+    const late = renderTime - last.t;
+    const ahead = Math.max(
+      0,
+      Math.min(late, 2 * MAX_EXTRAPOLATE_MS - late, MAX_EXTRAPOLATE_MS)
+    );
+    const k = ahead / (last.t - prev.t);
+    return {
+      x: clamp01(last.x + (last.x - prev.x) * k),
+      y: clamp01(last.y + (last.y - prev.y) * k),
+    };
+  }
+  for (let i = samples.length - 1; i > 0; i--) {
+    const a = samples[i - 1];
+    if (renderTime >= a.t) {
+      const b = samples[i];
+      return lerpPoint(a, b, b.t > a.t ? (renderTime - a.t) / (b.t - a.t) : 1);
+    }
+  }
+  return samples[0];
+}
+
+function emptyMoveCounts() {
+  return {
+    distanceMoved: 0,
+    activeMotionMs: 0,
+    orbTimeMs: 0,
+    nearestDistanceMin: null,
+    nearestDistanceSum: 0,
+    nearestTimeMs: 0,
+    approachEvents: 0,
+    multiTouchEvents: 0,
+    maxTouchPoints: null,
+    jointPushes: 0,
+    feedbackMs: 0,
+  };
+}
+
+// One marker per remote pointer; cursors without a pointer list (older
+// clients) are a single marker keyed by participant
+function markerKey(participantId, pointerId) {
+  return pointerId === null ? participantId : `${participantId}:${pointerId}`;
+}
+
+function statePointers(state) {
+  return state.pointers?.length
+    ? state.pointers
+    : [{ id: null, x: state.x, y: state.y }];
+}
+
+// Cursor message for our pointers on the stage (first one = x/y); with none
+// left it is inactive at `lastPoint`
+function pointersPayload(activePointers, pointerType, lastPoint) {
+  const pointers = Array.from(activePointers, ([id, p]) => ({
+    id,
+    x: p.x,
+    y: p.y,
+  })).slice(0, MAX_POINTERS);
+  const primary = pointers[0] || lastPoint;
+  return {
+    x: primary.x,
+    y: primary.y,
+    active: pointers.length > 0,
+    pointerType,
+    pointers,
+  };
+}
+
+// Samples of one pointer of a multi-touch cursor
+function pointerSamples(samples, pointerId) {
+  if (pointerId === null) return samples;
+  return samples.flatMap((sample) => {
+    const p = sample.pointers?.find((q) => q.id === pointerId);
+    return p ? [{ x: p.x, y: p.y, t: sample.t }] : [];
+  });
+}
+
+function minDistance(a, b) {
+  return a === null ? b : Math.min(a, b);
+}
+
+// Remote cursor currently moving or resting on the stage (by local receive
+// time, so clock differences with the server don't matter)
+function isLive(state, now) {
+  return Boolean(
+    state?.active && now - (state.receivedAt || 0) < CURSOR_STALE_MS
+  );
+}
+
+export function Room5Move({
+  participantId,
+  cursorStates,
+  sendCursor,
+  moveObjects,
+  jointPushCount,
+  studyConfig,
+  onMove,
+}) {
   const stageRef = useRef(null);
+  const trailCanvasRef = useRef(null);
+  const markerElsRef = useRef(new Map()); // marker key -> element
+  const smoothedRef = useRef(new Map()); // marker key -> last shown {x, y}
+  const activePointersRef = useRef(new Map()); // ours: pointerId -> {x, y}
   const lastSentRef = useRef(0);
   const rafRef = useRef(null);
   const pendingPayloadRef = useRef(null);
   const sendCursorRef = useRef(sendCursor);
+  const stageAspectRef = useRef(null); // stage width / height
+  const onMoveRef = useRef(onMove);
+  const moveCountsRef = useRef(emptyMoveCounts()); // not yet reported
 
+  // Every cursor message carries our stage's shape: the server tests
+  // contact with the balls as we draw them
   useEffect(() => {
-    sendCursorRef.current = sendCursor;
+    sendCursorRef.current = (payload) =>
+      sendCursor(
+        stageAspectRef.current
+          ? { ...payload, aspect: stageAspectRef.current }
+          : payload
+      );
   }, [sendCursor]);
 
-  const [local, setLocal] = useState(null); // {x,y,active,pointerType,ts}
+  useEffect(() => {
+    onMoveRef.current = onMove;
+  }, [onMove]);
+
+  // Hand movement metrics to the session in batches, and on leaving
+  useEffect(() => {
+    const report = () => {
+      const counts = moveCountsRef.current;
+      if (Object.values(counts).every((n) => !n)) return;
+      moveCountsRef.current = emptyMoveCounts();
+      onMoveRef.current?.(counts);
+    };
+    const id = setInterval(report, MOVE_REPORT_MS);
+    return () => {
+      clearInterval(id);
+      report();
+    };
+  }, []);
+
+  const [local, setLocal] = useState(null); // {x,y,active,pointerType,pointers,ts}
   const [stageSize, setStageSize] = useState({ w: 0, h: 0 });
+  const [now, setNow] = useState(() => Date.now()); // for idle checks
+  const localRef = useRef(local);
+  const cursorStatesRef = useRef(cursorStates);
+  const moveObjectsRef = useRef(moveObjects);
+  const seenJointPushesRef = useRef(jointPushCount);
+  const feedbackMode = studyConfig?.moveFeedback || "off";
+  const feedback = useProximityFeedback(feedbackMode);
+  const feedbackRef = useRef(feedback);
+
+  // Keep refs updated (read by the trail animation)
+  useEffect(() => {
+    localRef.current = local;
+  }, [local]);
+
+  useEffect(() => {
+    cursorStatesRef.current = cursorStates;
+  }, [cursorStates]);
+
+  useEffect(() => {
+    moveObjectsRef.current = moveObjects;
+  }, [moveObjects]);
+
+  useEffect(() => {
+    feedbackRef.current = feedback;
+  }, [feedback]);
+
+  // Joint pushes since the last render go into the movement metrics
+  useEffect(() => {
+    const added = jointPushCount - seenJointPushesRef.current;
+    seenJointPushesRef.current = jointPushCount;
+    if (added > 0) moveCountsRef.current.jointPushes += added;
+  }, [jointPushCount]);
+
+  // Re-check idleness even when no messages arrive
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), STALE_CHECK_MS);
+    return () => clearInterval(id);
+  }, []);
 
   const sendThrottled = useCallback((payload) => {
     const now = Date.now();
@@ -63,20 +302,42 @@ export function Room5Move({ participantId, cursorStates, sendCursor }) {
     sendCursorRef.current(payload);
   }, []);
 
+  // Send right away, dropping a throttled update still waiting (going idle
+  // must not be overtaken by an older position, nor wait for a frame that a
+  // background tab never renders)
+  const sendNow = useCallback((payload) => {
+    pendingPayloadRef.current = null;
+    lastSentRef.current = Date.now();
+    sendCursorRef.current(payload);
+  }, []);
+
   const remoteMarkers = useMemo(() => {
     const entries = Object.entries(cursorStates || {});
-    return entries
-      .map(([id, s]) => {
-        if (!s) return null;
-        return {
-          id,
-          x: s.x,
-          y: s.y,
-          color: colorFromId(id),
-        };
-      })
-      .filter(Boolean);
-  }, [cursorStates]);
+    return entries.flatMap(([id, s]) => {
+      if (!s || id === participantId) return [];
+      const live = isLive(s, now);
+      const color = colorFromId(id);
+      return statePointers(s).map((p, i) => ({
+        key: markerKey(id, p.id),
+        primary: i === 0,
+        x: p.x,
+        y: p.y,
+        live,
+        color,
+      }));
+    });
+  }, [cursorStates, participantId, now]);
+
+  const balls = useMemo(
+    () =>
+      Object.entries(moveObjects || {}).map(([id, o]) => ({
+        key: `ball:${id}`,
+        x: o.x,
+        y: o.y,
+        radius: o.radius,
+      })),
+    [moveObjects]
+  );
 
   // Track stage size for orb sizing
   useEffect(() => {
@@ -86,6 +347,13 @@ export function Room5Move({ participantId, cursorStates, sendCursor }) {
       const r = entries?.[0]?.contentRect;
       if (!r) return;
       setStageSize({ w: r.width, h: r.height });
+      stageAspectRef.current =
+        r.width && r.height
+          ? Math.min(
+              10,
+              Math.max(0.1, Math.round((r.width / r.height) * 1000) / 1000)
+            )
+          : null;
     });
     ro.observe(el);
     return () => ro.disconnect();
@@ -98,9 +366,12 @@ export function Room5Move({ participantId, cursorStates, sendCursor }) {
     const h = stageSize.h || 0;
     const max = Math.min(w || 420, h || 420) * 0.92; // never exceed stage width/height
 
+    // Only people actually here count toward the orb, once each
     const points = [
-      ...remoteMarkers.map((m) => ({ x: m.x, y: m.y })),
-      ...(local?.x != null && local?.y != null
+      ...remoteMarkers
+        .filter((m) => m.live && m.primary)
+        .map((m) => ({ x: m.x, y: m.y })),
+      ...(local?.active && local.x != null && local.y != null
         ? [{ x: local.x, y: local.y }]
         : []),
     ];
@@ -128,6 +399,12 @@ export function Room5Move({ participantId, cursorStates, sendCursor }) {
     return d;
   }, [remoteMarkers, local, stageSize.w, stageSize.h]);
 
+  const orbSizeRef = useRef(orbSizePx);
+
+  useEffect(() => {
+    orbSizeRef.current = orbSizePx;
+  }, [orbSizePx]);
+
   const toNormalized = useCallback((clientX, clientY) => {
     const el = stageRef.current;
     if (!el) return null;
@@ -139,59 +416,301 @@ export function Room5Move({ participantId, cursorStates, sendCursor }) {
     };
   }, []);
 
+  // Show our own markers; released pointers stay put while they fade
+  const showLocal = useCallback((payload) => {
+    setLocal((prev) => ({
+      ...payload,
+      pointers: payload.active ? payload.pointers : prev?.pointers || [],
+      ts: Date.now(),
+    }));
+  }, []);
+
   const handlePointerMove = useCallback(
     (e) => {
       const p = toNormalized(e.clientX, e.clientY);
       if (!p) return;
-      const payload = {
-        x: p.x,
-        y: p.y,
-        active: true,
-        pointerType: e.pointerType || "mouse",
-      };
-      setLocal({ ...payload, ts: Date.now() });
+      activePointersRef.current.set(e.pointerId, p);
+      const payload = pointersPayload(
+        activePointersRef.current,
+        e.pointerType || "mouse"
+      );
+      showLocal(payload);
       sendThrottled(payload);
     },
-    [toNormalized, sendThrottled]
+    [toNormalized, showLocal, sendThrottled]
   );
 
   const handlePointerDown = useCallback(
     (e) => {
       const p = toNormalized(e.clientX, e.clientY);
       if (!p) return;
-      const payload = {
-        x: p.x,
-        y: p.y,
-        active: true,
-        pointerType: e.pointerType || "touch",
-      };
-      setLocal({ ...payload, ts: Date.now() });
+      const pointers = activePointersRef.current;
+      const wasMultiTouch = pointers.size >= 2;
+      pointers.set(e.pointerId, p);
+      if (e.pointerType === "touch") {
+        const counts = moveCountsRef.current;
+        if (!wasMultiTouch && pointers.size >= 2) counts.multiTouchEvents += 1;
+        counts.maxTouchPoints = Math.max(
+          counts.maxTouchPoints || 0,
+          pointers.size
+        );
+      }
+      const payload = pointersPayload(pointers, e.pointerType || "touch");
+      showLocal(payload);
       sendThrottled(payload);
     },
-    [toNormalized, sendThrottled]
+    [toNormalized, showLocal, sendThrottled]
   );
 
+  // Released or left the stage: that pointer's marker fades out for
+  // everyone (the cursor goes inactive with the last one)
   const handlePointerUpOrLeave = useCallback(
     (e) => {
-      const p = toNormalized(e.clientX, e.clientY) || local;
-      if (!p) return;
-      const payload = {
-        x: p.x,
-        y: p.y,
-        active: true,
-        pointerType: e.pointerType || "touch",
-      };
-      setLocal({ ...payload, ts: Date.now() });
-      sendThrottled(payload);
+      const pointers = activePointersRef.current;
+      if (!pointers.has(e.pointerId)) return;
+      const last =
+        toNormalized(e.clientX, e.clientY) || pointers.get(e.pointerId);
+      pointers.delete(e.pointerId);
+      const payload = pointersPayload(pointers, e.pointerType || "touch", last);
+      showLocal(payload);
+      sendNow(payload);
     },
-    [toNormalized, sendThrottled, local]
+    [toNormalized, showLocal, sendNow]
   );
 
+  // A pointer held still sends no moves: repeat it so others don't take it
+  // for a stale cursor
+  useEffect(() => {
+    const id = setInterval(() => {
+      const l = localRef.current;
+      if (!l?.active || activePointersRef.current.size === 0) return;
+      if (Date.now() - lastSentRef.current < HEARTBEAT_MS) return;
+      sendNow(pointersPayload(activePointersRef.current, l.pointerType));
+    }, HEARTBEAT_MS / 2);
+    return () => clearInterval(id);
+  }, [sendNow]);
+
+  // Backgrounded tab: go idle too
+  useEffect(() => {
+    const handleVisibility = () => {
+      const l = localRef.current;
+      if (!document.hidden || !l?.active) return;
+      activePointersRef.current.clear();
+      const payload = pointersPayload(
+        activePointersRef.current,
+        l.pointerType,
+        l
+      );
+      showLocal(payload);
+      sendNow(payload);
+    };
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () =>
+      document.removeEventListener("visibilitychange", handleVisibility);
+  }, [showLocal, sendNow]);
+
   const localColor = useMemo(
     () => (participantId ? colorFromId(participantId) : "hsla(0,0%,100%,0.45)"),
     [participantId]
   );
 
+  // Remote marker and ball elements are positioned by the render loop below,
+  // not by React; a newly mounted one starts where it was last shown
+  const bindMarker = useCallback((marker, el) => {
+    if (!el) {
+      markerElsRef.current.delete(marker.key);
+      return;
+    }
+    markerElsRef.current.set(marker.key, el);
+    const p = smoothedRef.current.get(marker.key) || marker;
+    el.style.left = `${p.x * 100}%`;
+    el.style.top = `${p.y * 100}%`;
+  }, []);
+
+  // Render loop: each frame moves remote markers to their smoothed positions
+  // and redraws the trails (recent positions of each live marker, older
+  // parts thinner and fainter). Everything is read from refs, so this runs
+  // outside React renders.
+  useEffect(() => {
+    const canvas = trailCanvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    const trails = new Map(); // marker key -> { color, points: [{ x, y, t }] }
+    const smoothed = smoothedRef.current;
+    // Server clock ~= local clock - offset; the smallest (receive time -
+    // server time) seen is the best estimate, as it had the least delay
+    let clockOffset = null;
+    let frame = null;
+    let lastFrameAt = null;
+    let lastSelf = null; // our first pointer's previous position
+    let approachArmed = true;
+    let nextPulseAt = 0; // proximity pulses; 0 = nobody near
+    let inOrb = new Set(); // other participants inside the orb
+
+    // Distance in stage units between normalized points
+    const stageDistance = (a, b, w, h) =>
+      w > 0 ? (Math.hypot((a.x - b.x) * w, (a.y - b.y) * h) / w) * 1000 : 0;
+
+    const sample = (key, color, x, y, t) => {
+      const trail = trails.get(key) || { color, points: [] };
+      const last = trail.points[trail.points.length - 1];
+      if (!last || last.x !== x || last.y !== y) trail.points.push({ x, y, t });
+      trails.set(key, trail);
+    };
+
+    const draw = () => {
+      frame = requestAnimationFrame(draw);
+      const t = Date.now();
+      const w = canvas.clientWidth;
+      const h = canvas.clientHeight;
+      const dpr = window.devicePixelRatio || 1;
+      if (canvas.width !== Math.round(w * dpr)) canvas.width = w * dpr;
+      if (canvas.height !== Math.round(h * dpr)) canvas.height = h * dpr;
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, w, h);
+
+      const states = cursorStatesRef.current || {};
+      const objects = moveObjectsRef.current || {};
+      [...Object.values(states), ...Object.values(objects)].forEach((s) => {
+        if (!s?.receivedAt) return;
+        const offset = s.receivedAt - s.timestamp;
+        if (clockOffset === null || offset < clockOffset) clockOffset = offset;
+      });
+      const renderTime = t - (clockOffset || 0) - PLAYOUT_DELAY_MS;
+
+      const shown = new Set();
+      const others = []; // smoothed positions of live remote pointers
+      const nowInOrb = new Set();
+      Object.entries(states).forEach(([id, s]) => {
+        if (!s || id === participantId) return;
+        const live = isLive(s, t);
+        statePointers(s).forEach((ptr) => {
+          const key = markerKey(id, ptr.id);
+          const series = pointerSamples(s.samples || [], ptr.id);
+          const p = series.length ? samplePosition(series, renderTime) : ptr;
+          shown.add(key);
+          smoothed.set(key, p);
+          const el = markerElsRef.current.get(key);
+          if (el) {
+            el.style.left = `${p.x * 100}%`;
+            el.style.top = `${p.y * 100}%`;
+          }
+          if (live) {
+            others.push(p);
+            const fromCenter = Math.hypot((p.x - 0.5) * w, (p.y - 0.5) * h);
+            if (fromCenter <= orbSizeRef.current / 2) nowInOrb.add(id);
+            sample(key, colorFromId(id), p.x, p.y, t);
+          }
+        });
+      });
+      Object.entries(objects).forEach(([id, o]) => {
+        const key = `ball:${id}`;
+        const p = o.samples.length ? samplePosition(o.samples, renderTime) : o;
+        shown.add(key);
+        smoothed.set(key, p);
+        const el = markerElsRef.current.get(key);
+        if (el) {
+          el.style.left = `${p.x * 100}%`;
+          el.style.top = `${p.y * 100}%`;
+        }
+      });
+      smoothed.forEach((_, key) => {
+        if (!shown.has(key)) smoothed.delete(key);
+      });
+      const self = localRef.current;
+      if (self?.active) {
+        self.pointers.forEach((p) => {
+          sample(`self:${p.id}`, localColor, p.x, p.y, t);
+        });
+      }
+
+      const dt = lastFrameAt === null ? 0 : t - lastFrameAt;
+      lastFrameAt = t;
+      const counts = moveCountsRef.current;
+      const first = self?.active ? self.pointers[0] : null;
+      let nearest = null;
+      if (first) {
+        others.forEach((p) => {
+          const d = stageDistance(p, first, w, h);
+          if (nearest === null || d < nearest) nearest = d;
+        });
+      }
+
+      // Proximity feedback (no-ops unless switched on)
+      const fb = feedbackRef.current;
+      if (fb.enabled) {
+        if (dt <= MAX_FRAME_MS) counts.feedbackMs += dt;
+        const proximity =
+          nearest !== null && nearest < FEEDBACK_DISTANCE
+            ? 1 - nearest / FEEDBACK_DISTANCE
+            : 0;
+        fb.setProximity(proximity);
+        if (proximity === 0) {
+          nextPulseAt = 0;
+        } else if (t >= nextPulseAt) {
+          fb.pulse(Math.max(0.2, proximity));
+          nextPulseAt =
+            t +
+            FEEDBACK_PULSE_MAX_MS -
+            (FEEDBACK_PULSE_MAX_MS - FEEDBACK_PULSE_MIN_MS) * proximity;
+        }
+        nowInOrb.forEach((id) => {
+          if (!inOrb.has(id)) fb.pulse(ORB_ENTRY_STRENGTH);
+        });
+      }
+      inOrb = nowInOrb;
+
+      // Movement metrics, only while our pointer is on the stage
+      if (first && dt <= MAX_FRAME_MS) {
+        if (lastSelf?.id === first.id) {
+          counts.distanceMoved += stageDistance(lastSelf, first, w, h);
+        }
+        if (t - self.ts < MOTION_HOLD_MS) counts.activeMotionMs += dt;
+        const fromCenter = Math.hypot((self.x - 0.5) * w, (self.y - 0.5) * h);
+        if (fromCenter <= orbSizeRef.current / 2) counts.orbTimeMs += dt;
+
+        if (nearest !== null) {
+          counts.nearestDistanceMin = minDistance(
+            counts.nearestDistanceMin,
+            nearest
+          );
+          counts.nearestDistanceSum += nearest * dt;
+          counts.nearestTimeMs += dt;
+          if (approachArmed && nearest < APPROACH_DISTANCE) {
+            counts.approachEvents += 1;
+            approachArmed = false;
+          } else if (nearest > APPROACH_RELEASE) {
+            approachArmed = true;
+          }
+        }
+      }
+      lastSelf = first;
+
+      ctx.lineCap = "round";
+      trails.forEach(({ color, points }, key) => {
+        while (points.length > 0 && t - points[0].t > TRAIL_MS) points.shift();
+        if (points.length === 0) {
+          trails.delete(key);
+          return;
+        }
+        ctx.strokeStyle = color;
+        for (let i = 1; i < points.length; i++) {
+          const freshness = 1 - (t - points[i].t) / TRAIL_MS;
+          ctx.globalAlpha = 0.5 * freshness;
+          ctx.lineWidth = 2 + 8 * freshness;
+          ctx.beginPath();
+          ctx.moveTo(points[i - 1].x * w, points[i - 1].y * h);
+          ctx.lineTo(points[i].x * w, points[i].y * h);
+          ctx.stroke();
+        }
+      });
+      ctx.globalAlpha = 1;
+    };
+
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [participantId, localColor]);
+
   return (
     <div className="move-room">
       <div className="move-stage" ref={stageRef}>
@@ -202,6 +721,26 @@ export function Room5Move({ participantId, cursorStates, sendCursor }) {
           aria-hidden="true"
         />
 
+        <canvas
+          className="move-trails"
+          ref={trailCanvasRef}
+          aria-hidden="true"
+        />
+
+        {/* Sized by the shorter stage side, so they stay round */}
+        {balls.map((b) => (
+          <div
+            key={b.key}
+            ref={(el) => bindMarker(b, el)}
+            className="move-ball"
+            style={{
+              width: 2 * b.radius * Math.min(stageSize.w, stageSize.h),
+              height: 2 * b.radius * Math.min(stageSize.w, stageSize.h),
+            }}
+            aria-hidden="true"
+          />
+        ))}
+
         <div
           className="move-hit"
           onPointerMove={handlePointerMove}
@@ -211,34 +750,56 @@ export function Room5Move({ participantId, cursorStates, sendCursor }) {
           onPointerLeave={handlePointerUpOrLeave}
         />
 
-        {/* Markers are always visible across the whole stage */}
+        {/* Markers span the whole stage; idle ones fade out in place */}
         {remoteMarkers.map((s) => (
           <div
-            key={s.id}
-            className="move-marker active"
+            key={s.key}
+            ref={(el) => bindMarker(s, el)}
+            className={`move-marker ${s.live ? "active" : "fade"}`}
             style={{
-              left: `${s.x * 100}%`,
-              top: `${s.y * 100}%`,
               background: s.color,
-              opacity: 0.55,
+              opacity: s.live ? 0.55 : 0,
             }}
             aria-hidden="true"
           />
         ))}
 
-        {local?.x != null && local?.y != null && (
+        {local?.pointers.map((p) => (
           <div
-            className="move-marker self active"
+            key={p.id}
+            className={`move-marker self ${local.active ? "active" : "fade"}`}
             style={{
-              left: `${local.x * 100}%`,
-              top: `${local.y * 100}%`,
+              left: `${p.x * 100}%`,
+              top: `${p.y * 100}%`,
               background: localColor,
-              opacity: 0.35,
+              opacity: local.active ? 0.35 : 0,
             }}
             aria-hidden="true"
           />
-        )}
+        ))}
       </div>
+
+      {feedbackMode !== "off" &&
+        (feedback.available ? (
+          <div className="move-controls">
+            <button
+              type="button"
+              className={`move-feedback-btn ${feedback.enabled ? "active" : ""}`}
+              onClick={feedback.enabled ? feedback.disable : feedback.enable}
+              aria-pressed={feedback.enabled}
+            >
+              {FEEDBACK_LABELS[feedbackMode]}: {feedback.enabled ? "on" : "off"}
+            </button>
+            <span className="move-note">
+              Notice when someone comes close to your finger or cursor
+            </span>
+          </div>
+        ) : (
+          <p className="move-note">
+            {FEEDBACK_LABELS[feedbackMode]} feedback isn't supported on this
+            device
+          </p>
+        ))}
     </div>
   );
 }
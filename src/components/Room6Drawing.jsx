@@ -1,12 +1,27 @@
 /**
  * Room 6: Shared Drawing
- * Realtime shared canvas with pen + erase
+ * Realtime shared canvas with pen, line/rectangle/ellipse, eraser (cuts
+ * through ink) and stroke eraser (deletes whole strokes it touches)
+ * Pointer events: stylus pressure is kept per point and varies the width
+ * Strokes live in a fixed 4:3 drawing space: points normalized to 0..1,
+ * simplified and quantized before sending; older strokes in CSS pixels
+ * (with canvasW/canvasH) are still scaled from the canvas they were drawn on
  * Users can draw or just watch
- * Syncs strokes via WebSocket
+ * Syncs strokes via WebSocket; in-progress strokes stream live in batches
+ * Undo/redo (buttons, Ctrl+Z / Ctrl+Shift+Z) only touch your own strokes
+ * "Save image" downloads the server-rendered canvas, if the study allows it
+ * Others' pointers show as anonymous dots, if the study enables them (the
+ * Move room's cursor messages, scoped to this room)
+ * "Clear All" follows the study's clear policy: whole canvas, own strokes
+ * only, a majority vote of those present (prompt above the canvas), or not
+ * at all (researchers reset the canvas from the dashboard)
  */
 
 import { useCallback, useEffect, useRef, useState } from "react";
 
+import { API_URL } from "../config/api";
+import { STUDY_ID } from "../config/study";
+
 const COLORS = [
   "#ff0000", // red
   "#ffff00", // yellow
@@ -14,45 +29,371 @@ const COLORS = [
   "#0000ff", // blue
   "#000000", // black
 ];
-const LINE_WIDTH = 3;
+// Drawing space: width / height of the canvas on every device, and the
+// unit of stroke widths (1/1000 of the canvas width)
+const DRAW_ASPECT = 4 / 3;
+const DRAW_SPACE_WIDTH = 1000;
+const DRAW_SPACE_HEIGHT = DRAW_SPACE_WIDTH / DRAW_ASPECT;
+// Simplification tolerance in drawing-space units (like the server's base
+// compaction tolerance, so compaction leaves sent strokes as they are)
+const SIMPLIFY_TOLERANCE = 0.5;
+// Most points a saved stroke may carry (server draw_stroke limit)
+const MAX_STROKE_POINTS = 2000;
+// Brush sizes are in 1/1000 of the drawing width, so they scale with the canvas
+const LINE_WIDTH = 3; // default brush size (and for strokes without width)
+const MIN_LINE_WIDTH = 1;
+const MAX_LINE_WIDTH = 30;
 const ERASER_WIDTH = 20;
+// Shapes travel as ordinary strokes: their outline as a polyline
+const SHAPE_TOOLS = ["line", "rect", "ellipse"];
+const ELLIPSE_SEGMENTS = 48;
+// Stroke eraser reach around the pointer (CSS pixels)
+const STROKE_ERASER_RADIUS = 10;
+// How often points of the stroke being drawn are streamed to others
+const PARTIAL_INTERVAL_MS = 50;
+// Pointer position updates per second (same rate as the Move room)
+const POINTER_FPS = 30;
 
-// Draw a single stroke on canvas (pure function, no hooks)
-function drawStrokeOnCanvas(ctx, stroke, scaleX = 1, scaleY = 1) {
-  if (!stroke.points || stroke.points.length < 2) return;
+// Deterministic color per participant; darker than the Move room's so dots
+// stand out on white paper
+function pointerColor(id) {
+  let hash = 0;
+  for (let i = 0; i < id.length; i++) {
+    hash = (hash * 31 + id.charCodeAt(i)) | 0;
+  }
+  return `hsl(${Math.abs(hash) % 360}, 65%, 50%)`;
+}
 
-  ctx.beginPath();
-  ctx.strokeStyle = stroke.tool === "eraser" ? "#ffffff" : stroke.color;
-  const baseWidth =
-    stroke.tool === "eraser" ? ERASER_WIDTH : stroke.width || LINE_WIDTH;
-  // Scale width so strokes look similar across devices
-  const wScale = Math.min(scaleX, scaleY);
+// Set up ctx for a stroke. The eraser removes ink (transparent pixels)
+// instead of painting white, so it never covers what's behind the canvas.
+function applyStrokeStyle(ctx, stroke, wScale = 1) {
+  const isEraser = stroke.tool === "eraser";
+  ctx.globalCompositeOperation = isEraser ? "destination-out" : "source-over";
+  ctx.strokeStyle = isEraser ? "#000000" : stroke.color;
+  const baseWidth = isEraser ? ERASER_WIDTH : stroke.width || LINE_WIDTH;
   ctx.lineWidth = baseWidth * wScale;
+}
+
+// Width multiplier for a stylus pressure (0..1; 0.5 = nominal width).
+// Must match server/drawingExport.js so exports look the same.
+function pressureFactor(p) {
+  if (p === undefined) return 1;
+  return Math.min(2, Math.max(0.2, p * 2));
+}
 
-  ctx.moveTo(stroke.points[0].x * scaleX, stroke.points[0].y * scaleY);
-  for (let i = 1; i < stroke.points.length; i++) {
-    ctx.lineTo(stroke.points[i].x * scaleX, stroke.points[i].y * scaleY);
+// Stroke -> canvas (CSS px) scale. Older strokes are in the pixels of the
+// canvas they were drawn on (canvasW/canvasH; null = same size as ours).
+function strokeScale(stroke, canvasW, canvasH) {
+  if (stroke.canvasW !== undefined) {
+    const scaleX = stroke.canvasW ? canvasW / stroke.canvasW : 1;
+    const scaleY = stroke.canvasH ? canvasH / stroke.canvasH : 1;
+    return { scaleX, scaleY, wScale: Math.min(scaleX, scaleY) };
+  }
+  return {
+    scaleX: canvasW,
+    scaleY: canvasH,
+    wScale: canvasW / DRAW_SPACE_WIDTH,
+  };
+}
+
+// Draw a single stroke on a canvas of the given CSS size (pure function)
+function drawStrokeOnCanvas(ctx, stroke, canvasW, canvasH) {
+  // A single point is a dot: a zero-length segment with round caps
+  const pts =
+    stroke.points?.length === 1
+      ? [stroke.points[0], stroke.points[0]]
+      : stroke.points;
+  if (!pts || pts.length < 2) return;
+
+  const { scaleX, scaleY, wScale } = strokeScale(stroke, canvasW, canvasH);
+  applyStrokeStyle(ctx, stroke, wScale);
+
+  // Pressure strokes: one segment at a time, each with its own width
+  if (pts.some((pt) => pt.p !== undefined)) {
+    const baseWidth = ctx.lineWidth;
+    for (let i = 1; i < pts.length; i++) {
+      const a = pts[i - 1];
+      const b = pts[i];
+      ctx.beginPath();
+      ctx.lineWidth =
+        baseWidth * pressureFactor(((a.p ?? 0.5) + (b.p ?? 0.5)) / 2);
+      ctx.moveTo(a.x * scaleX, a.y * scaleY);
+      ctx.lineTo(b.x * scaleX, b.y * scaleY);
+      ctx.stroke();
+    }
+    return;
+  }
+
+  ctx.beginPath();
+  ctx.moveTo(pts[0].x * scaleX, pts[0].y * scaleY);
+  for (let i = 1; i < pts.length; i++) {
+    ctx.lineTo(pts[i].x * scaleX, pts[i].y * scaleY);
   }
   ctx.stroke();
 }
 
+// Larger side of the points' bounding box, in CSS px
+function pointsSpan(points, canvasW, canvasH) {
+  const xs = points.map((pt) => pt.x);
+  const ys = points.map((pt) => pt.y);
+  return Math.max(
+    (Math.max(...xs) - Math.min(...xs)) * canvasW,
+    (Math.max(...ys) - Math.min(...ys)) * canvasH
+  );
+}
+
+// Outline of a shape dragged between two points. Shapes have an even line,
+// so their points never carry pen pressure.
+function shapePoints(shape, from, to) {
+  const a = { x: from.x, y: from.y };
+  const b = { x: to.x, y: to.y };
+  switch (shape) {
+    case "rect":
+      return [a, { x: b.x, y: a.y }, b, { x: a.x, y: b.y }, a];
+    case "ellipse": {
+      const cx = (a.x + b.x) / 2;
+      const cy = (a.y + b.y) / 2;
+      const rx = Math.abs(b.x - a.x) / 2;
+      const ry = Math.abs(b.y - a.y) / 2;
+      return Array.from({ length: ELLIPSE_SEGMENTS + 1 }, (_, i) => {
+        const t = (i / ELLIPSE_SEGMENTS) * 2 * Math.PI;
+        return { x: cx + rx * Math.cos(t), y: cy + ry * Math.sin(t) };
+      });
+    }
+    default:
+      return [a, b];
+  }
+}
+
+// Distance from p to segment a-b
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lenSq = dx * dx + dy * dy;
+  if (lenSq === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+  const t = Math.max(
+    0,
+    Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lenSq)
+  );
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// Ramer–Douglas–Peucker (iterative; same algorithm as server compaction)
+function simplifyPoints(points, tolerance) {
+  if (points.length <= 2) return points.slice();
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let maxDist = 0;
+    let index = -1;
+    for (let i = start + 1; i < end; i++) {
+      const d = distanceToSegment(points[i], points[start], points[end]);
+      if (d > maxDist) {
+        maxDist = d;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDist > tolerance) {
+      keep[index] = 1;
+      stack.push([start, index], [index, end]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
+
+// Round a normalized point to 1/10000 (0.1 drawing-space unit)
+function quantizePoint(pt) {
+  const q = {
+    x: Math.round(pt.x * 10000) / 10000,
+    y: Math.round(pt.y * 10000) / 10000,
+  };
+  if (pt.p !== undefined) q.p = pt.p;
+  return q;
+}
+
+// Points as sent in a finished stroke: simplified in drawing-space units
+// (so x and y are judged alike), then quantized. Very long strokes are
+// simplified harder until they fit MAX_STROKE_POINTS.
+function prepareStrokePoints(points) {
+  const inSpace = points.map((pt) => ({
+    ...pt,
+    x: pt.x * DRAW_SPACE_WIDTH,
+    y: pt.y * DRAW_SPACE_HEIGHT,
+  }));
+  let tolerance = SIMPLIFY_TOLERANCE;
+  let simplified = simplifyPoints(inSpace, tolerance);
+  while (simplified.length > MAX_STROKE_POINTS) {
+    tolerance *= 2;
+    simplified = simplifyPoints(inSpace, tolerance);
+  }
+  return simplified.map((pt) =>
+    quantizePoint({
+      ...pt,
+      x: pt.x / DRAW_SPACE_WIDTH,
+      y: pt.y / DRAW_SPACE_HEIGHT,
+    })
+  );
+}
+
+// Whether the stroke eraser at `pos` (CSS px) touches a stroke's ink
+function hitsStroke(stroke, pos, canvasW, canvasH) {
+  const pts = stroke.points;
+  if (!pts || pts.length === 0) return false;
+  const { scaleX, scaleY, wScale } = strokeScale(stroke, canvasW, canvasH);
+  const reach =
+    STROKE_ERASER_RADIUS + ((stroke.width || LINE_WIDTH) * wScale) / 2;
+
+  let prev = { x: pts[0].x * scaleX, y: pts[0].y * scaleY };
+  if (pts.length === 1) return distanceToSegment(pos, prev, prev) <= reach;
+  for (let i = 1; i < pts.length; i++) {
+    const next = { x: pts[i].x * scaleX, y: pts[i].y * scaleY };
+    if (distanceToSegment(pos, prev, next) <= reach) return true;
+    prev = next;
+  }
+  return false;
+}
+
+// ---- Metrics geometry (drawing-space units, so devices compare) ----
+
+// Stroke points and nominal ink width in drawing-space units
+function strokeInSpace(stroke) {
+  const { scaleX, scaleY, wScale } = strokeScale(
+    stroke,
+    DRAW_SPACE_WIDTH,
+    DRAW_SPACE_HEIGHT
+  );
+  return {
+    points: (stroke.points || []).map((pt) => ({
+      x: pt.x * scaleX,
+      y: pt.y * scaleY,
+    })),
+    width: (stroke.width || LINE_WIDTH) * wScale,
+  };
+}
+
+function polylineLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(
+      points[i].x - points[i - 1].x,
+      points[i].y - points[i - 1].y
+    );
+  }
+  return length;
+}
+
+// Whether segments a-b and c-d properly cross
+function segmentsCross(a, b, c, d) {
+  const side = (o, p, q) =>
+    (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+  return side(c, d, a) * side(c, d, b) < 0 && side(a, b, c) * side(a, b, d) < 0;
+}
+
+function segmentDistance(a, b, c, d) {
+  if (segmentsCross(a, b, c, d)) return 0;
+  return Math.min(
+    distanceToSegment(a, c, d),
+    distanceToSegment(b, c, d),
+    distanceToSegment(c, a, b),
+    distanceToSegment(d, a, b)
+  );
+}
+
+// Whether two strokes' ink touches: crossing, or closer than half their
+// widths combined (drawing over or right next to the other stroke)
+function inkTouches(a, b) {
+  if (a.points.length === 0 || b.points.length === 0) return false;
+  const reach = (a.width + b.width) / 2;
+
+  // Bounding boxes first: most stroke pairs are far apart
+  const box = (pts) => ({
+    x0: Math.min(...pts.map((pt) => pt.x)),
+    y0: Math.min(...pts.map((pt) => pt.y)),
+    x1: Math.max(...pts.map((pt) => pt.x)),
+    y1: Math.max(...pts.map((pt) => pt.y)),
+  });
+  const ba = box(a.points);
+  const bb = box(b.points);
+  if (
+    ba.x0 - reach > bb.x1 ||
+    bb.x0 - reach > ba.x1 ||
+    ba.y0 - reach > bb.y1 ||
+    bb.y0 - reach > ba.y1
+  ) {
+    return false;
+  }
+
+  // A single point is a zero-length segment
+  const segments = (pts) =>
+    pts.length === 1
+      ? [[pts[0], pts[0]]]
+      : pts.slice(1).map((pt, i) => [pts[i], pt]);
+  const sb = segments(b.points);
+  return segments(a.points).some(([p, q]) =>
+    sb.some(([r, t]) => segmentDistance(p, q, r, t) <= reach)
+  );
+}
+
 export function Room6Drawing({
   participantId,
   presenceCount,
   drawingStrokes,
+  drawingBase,
+  drawingResets,
+  liveStrokes,
+  cursorStates,
   onStroke,
+  onErase,
+  onToolUse,
+  onUndo,
+  onRedo,
   onIdleWithOthers,
   hasInteracted,
   sendStroke,
+  sendStrokePartial,
+  sendCursor,
+  eraseStrokes,
+  undoStroke,
+  redoStroke,
   clearDrawing,
+  clearVote,
+  sendClearVote,
+  rejectedStroke,
+  requestExportTicket,
+  studyConfig,
 }) {
-  const [tool, setTool] = useState("pen"); // 'pen' or 'eraser'
+  // 'pen' | 'line' | 'rect' | 'ellipse' | 'eraser' | 'strokeEraser'
+  const [tool, setTool] = useState("pen");
   const [color, setColor] = useState(COLORS[0]);
+  const [lineWidth, setLineWidth] = useState(LINE_WIDTH);
   const [isDrawing, setIsDrawing] = useState(false);
+  const [redoStack, setRedoStack] = useState([]); // ids we undid, newest last
+  const [redoResets, setRedoResets] = useState(drawingResets);
+  const [saveStatus, setSaveStatus] = useState(null); // null | "saving" | "error"
 
+  // Anyone's clear, a researcher reset or a fresh history from the server
+  // leaves nothing of ours to redo
+  if (redoResets !== drawingResets) {
+    setRedoResets(drawingResets);
+    setRedoStack([]);
+  }
+
+  const containerRef = useRef(null);
   const canvasRef = useRef(null);
   const contextRef = useRef(null);
   const canvasSizeRef = useRef({ w: 0, h: 0 }); // CSS pixels
+  const committedLayerRef = useRef(null); // offscreen canvas
+  const committedStrokesRef = useRef([]); // drawingStrokes it shows
+  const baseImageRef = useRef(null); // loaded drawingBase, under the strokes
+  const compositeFrameRef = useRef(null); // pending rAF id
+  const drawingStrokesRef = useRef(drawingStrokes);
+  const liveStrokesRef = useRef(liveStrokes);
   const currentStrokeRef = useRef([]);
   const currentStrokeStyleRef = useRef({
     tool: "pen",
@@ -60,6 +401,18 @@ export function Room6Drawing({
     width: LINE_WIDTH,
   });
   const strokeIdRef = useRef(0);
+  // Distinguishes this visit's stroke ids from earlier ones (counter restarts)
+  const strokeIdPrefixRef = useRef(null);
+  const currentStrokeIdRef = useRef(null);
+  const activePointerIdRef = useRef(null); // pointer drawing right now
+  const pointerDownAtRef = useRef(0);
+  const shapeStartRef = useRef(null); // anchor point of a shape drag
+  // Live streaming: points not yet sent, next batch index, last send time
+  const pendingPartialRef = useRef([]);
+  const partialIndexRef = useRef(0);
+  const lastPartialAtRef = useRef(0);
+  const erasedIdsRef = useRef(new Set()); // strokes deleted in this gesture
+  const lastPointerSentRef = useRef(0);
   const idleTrackingRef = useRef(null);
   const presenceCountRef = useRef(presenceCount);
   const hasInteractedRef = useRef(hasInteracted);
@@ -88,63 +441,134 @@ export function Room6Drawing({
     };
   }, [onIdleWithOthers]);
 
-  // Redraw canvas from stroke history
-  const redrawCanvas = useCallback(() => {
-    const ctx = contextRef.current;
-    const canvas = canvasRef.current;
-    if (!ctx || !canvas) return;
+  // Rendering is layered so an arriving stroke doesn't replay the history:
+  // - committed layer (offscreen): the baked base image, then
+  //   drawingStrokes, extended stroke by stroke;
+  //   rebuilt only when the history changes other than by appending (clear,
+  //   undo, erase) or when the canvas is resized
+  // - live layer: strokes in progress (others' and ours), drawn on the
+  //   visible canvas over a copy of the committed layer. Drawing them over
+  //   that copy, not on a canvas of their own, lets a live eraser cut ink.
+
+  // Redraw the committed layer from scratch
+  const rebuildCommittedLayer = useCallback((strokes) => {
+    const layer = committedLayerRef.current;
+    const { w: canvasW, h: canvasH } = canvasSizeRef.current;
+    if (!layer || !canvasW || !canvasH) return;
+
+    const ctx = layer.getContext("2d");
+    ctx.clearRect(0, 0, canvasW, canvasH);
+    if (baseImageRef.current) {
+      ctx.drawImage(baseImageRef.current, 0, 0, canvasW, canvasH);
+    }
+    strokes.forEach((stroke) => {
+      drawStrokeOnCanvas(ctx, stroke, canvasW, canvasH);
+    });
+    committedStrokesRef.current = strokes;
+  }, []);
+
+  // Bring the committed layer up to date: if strokes were only appended
+  // since the last update, draw just those
+  const syncCommittedLayer = useCallback(
+    (strokes) => {
+      const layer = committedLayerRef.current;
+      const { w: canvasW, h: canvasH } = canvasSizeRef.current;
+      if (!layer || !canvasW || !canvasH) return;
+
+      const drawn = committedStrokesRef.current;
+      const isAppend =
+        drawn.length <= strokes.length &&
+        drawn.every((stroke, i) => stroke === strokes[i]);
+      if (!isAppend) {
+        rebuildCommittedLayer(strokes);
+        return;
+      }
 
+      const ctx = layer.getContext("2d");
+      strokes.slice(drawn.length).forEach((stroke) => {
+        drawStrokeOnCanvas(ctx, stroke, canvasW, canvasH);
+      });
+      committedStrokesRef.current = strokes;
+    },
+    [rebuildCommittedLayer]
+  );
+
+  // Visible canvas: committed layer + live layer
+  const compositeCanvas = useCallback(() => {
+    const ctx = contextRef.current;
+    const layer = committedLayerRef.current;
     const { w: canvasW, h: canvasH } = canvasSizeRef.current;
-    if (!canvasW || !canvasH) return;
-
-    // Clear canvas
-    ctx.fillStyle = "#ffffff";
-    ctx.fillRect(0, 0, canvasW, canvasH);
-
-    // Draw all strokes
-    drawingStrokes.forEach((stroke) => {
-      const srcW = stroke.canvasW || canvasW;
-      const srcH = stroke.canvasH || canvasH;
-      const scaleX = srcW ? canvasW / srcW : 1;
-      const scaleY = srcH ? canvasH / srcH : 1;
-      drawStrokeOnCanvas(ctx, stroke, scaleX, scaleY);
+    if (!ctx || !layer || !canvasW || !canvasH) return;
+
+    // Clear canvas (transparent: its CSS background provides the paper)
+    ctx.globalCompositeOperation = "source-over";
+    ctx.clearRect(0, 0, canvasW, canvasH);
+    ctx.drawImage(layer, 0, 0, canvasW, canvasH);
+
+    // Strokes others are drawing right now (on top until finalized)
+    Object.values(liveStrokesRef.current).forEach((stroke) => {
+      drawStrokeOnCanvas(ctx, stroke, canvasW, canvasH);
     });
 
     // Also draw the in-progress stroke so it doesn't "disappear"
     if (currentStrokeRef.current.length > 1) {
       const s = currentStrokeStyleRef.current;
-      drawStrokeOnCanvas(ctx, {
-        points: currentStrokeRef.current,
-        color: s.color,
-        width: s.width,
-        tool: s.tool,
-      });
+      drawStrokeOnCanvas(
+        ctx,
+        {
+          points: currentStrokeRef.current,
+          color: s.color,
+          width: s.width,
+          tool: s.tool,
+        },
+        canvasW,
+        canvasH
+      );
     }
-  }, [drawingStrokes]);
+  }, []);
+
+  // Composite at most once per frame (live batches arrive in bursts)
+  const scheduleComposite = useCallback(() => {
+    if (compositeFrameRef.current !== null) return;
+    compositeFrameRef.current = requestAnimationFrame(() => {
+      compositeFrameRef.current = null;
+      compositeCanvas();
+    });
+  }, [compositeCanvas]);
 
   // Initialize canvas
   useEffect(() => {
     const canvas = canvasRef.current;
-    if (!canvas) return;
+    const container = containerRef.current;
+    if (!canvas || !container) return;
+    const layer = document.createElement("canvas");
+    committedLayerRef.current = layer;
 
-    // Set canvas size
+    // Set canvas size: the largest 4:3 box that fits the container
     const updateSize = () => {
-      const container = canvas.parentElement;
       const rect = container.getBoundingClientRect();
       const dpr = window.devicePixelRatio || 1;
+      const width = Math.min(rect.width, rect.height * DRAW_ASPECT);
+      const height = width / DRAW_ASPECT;
+
+      canvasSizeRef.current = { w: width, h: height };
+      canvas.style.width = `${width}px`;
+      canvas.style.height = `${height}px`;
+
+      // Resizing a canvas resets its context, so set both up again
+      [canvas, layer].forEach((c) => {
+        c.width = width * dpr;
+        c.height = height * dpr;
+        const ctx = c.getContext("2d");
+        // Avoid cumulative scaling on resize
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.lineCap = "round";
+        ctx.lineJoin = "round";
+      });
+      contextRef.current = canvas.getContext("2d");
 
-      canvasSizeRef.current = { w: rect.width, h: rect.height };
-      canvas.width = rect.width * dpr;
-      canvas.height = rect.height * dpr;
-      canvas.style.width = `${rect.width}px`;
-      canvas.style.height = `${rect.height}px`;
-
-      const ctx = canvas.getContext("2d");
-      // Avoid cumulative scaling on resize
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      ctx.lineCap = "round";
-      ctx.lineJoin = "round";
-      contextRef.current = ctx;
+      rebuildCommittedLayer(drawingStrokesRef.current);
+      compositeCanvas();
     };
 
     updateSize();
@@ -152,126 +576,413 @@ export function Room6Drawing({
 
     return () => {
       window.removeEventListener("resize", updateSize);
+      if (compositeFrameRef.current !== null) {
+        cancelAnimationFrame(compositeFrameRef.current);
+        compositeFrameRef.current = null;
+      }
     };
-  }, []);
+  }, [rebuildCommittedLayer, compositeCanvas]);
 
-  // Redraw when strokes change
+  // Keep refs updated (read by resize and frame callbacks)
   useEffect(() => {
-    redrawCanvas();
-  }, [redrawCanvas]);
+    drawingStrokesRef.current = drawingStrokes;
+  }, [drawingStrokes]);
 
-  // Get position from event
-  const getPosition = (e) => {
-    const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
+  useEffect(() => {
+    liveStrokesRef.current = liveStrokes;
+  }, [liveStrokes]);
+
+  // New strokes go onto the committed layer
+  useEffect(() => {
+    syncCommittedLayer(drawingStrokes);
+    scheduleComposite();
+  }, [drawingStrokes, syncCommittedLayer, scheduleComposite]);
 
-    if (e.touches) {
-      return {
-        x: e.touches[0].clientX - rect.left,
-        y: e.touches[0].clientY - rect.top,
+  // Baked base image changed: load it, then rebuild the committed layer
+  useEffect(() => {
+    let cancelled = false;
+    const show = (image) => {
+      baseImageRef.current = image;
+      rebuildCommittedLayer(drawingStrokesRef.current);
+      scheduleComposite();
+    };
+    if (!drawingBase) {
+      show(null);
+    } else {
+      const image = new Image();
+      image.onload = () => {
+        if (!cancelled) show(image);
       };
+      image.src = `data:image/png;base64,${drawingBase}`;
     }
+    return () => {
+      cancelled = true;
+    };
+  }, [drawingBase, rebuildCommittedLayer, scheduleComposite]);
+
+  // Live strokes changed: only the live layer is redrawn
+  useEffect(() => {
+    scheduleComposite();
+  }, [liveStrokes, scheduleComposite]);
+
+  // A refused stroke's ink is only on this canvas; redraw without it
+  useEffect(() => {
+    if (rejectedStroke) scheduleComposite();
+  }, [rejectedStroke, scheduleComposite]);
 
-    return {
-      x: e.clientX - rect.left,
-      y: e.clientY - rect.top,
+  // Normalized position (0..1, clamped to the canvas) from a pointer event,
+  // + pressure `p` for stylus input (mouse and touch report no real pressure)
+  const getPosition = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const clamp = (n) => Math.min(1, Math.max(0, n));
+    const pos = {
+      x: clamp((e.clientX - rect.left) / rect.width),
+      y: clamp((e.clientY - rect.top) / rect.height),
     };
+    if (e.pointerType === "pen") {
+      pos.p = Math.round(e.pressure * 100) / 100;
+    }
+    return pos;
   };
 
+  // Stroke eraser: delete every (ink) stroke under the pointer
+  const eraseAt = useCallback(
+    (pos) => {
+      const { w: canvasW, h: canvasH } = canvasSizeRef.current;
+      const px = { x: pos.x * canvasW, y: pos.y * canvasH };
+      const hitIds = drawingStrokes
+        .filter(
+          (s) =>
+            s.tool !== "eraser" &&
+            !erasedIdsRef.current.has(s.id) &&
+            hitsStroke(s, px, canvasW, canvasH)
+        )
+        .map((s) => s.id);
+      if (hitIds.length === 0) return;
+
+      hitIds.forEach((id) => erasedIdsRef.current.add(id));
+      // Server accepts up to 50 ids per message
+      for (let i = 0; i < hitIds.length; i += 50) {
+        eraseStrokes(hitIds.slice(i, i + 50));
+      }
+    },
+    [drawingStrokes, eraseStrokes]
+  );
+
   // Start drawing
   const handleStart = useCallback(
     (e) => {
+      // One pointer draws at a time (a second finger doesn't start a stroke)
+      if (!e.isPrimary || activePointerIdRef.current !== null) return;
       e.preventDefault();
+      // Keep receiving moves even if the pointer leaves the canvas
+      e.currentTarget.setPointerCapture?.(e.pointerId);
+      activePointerIdRef.current = e.pointerId;
+      pointerDownAtRef.current = Date.now();
       const pos = getPosition(e);
 
       setIsDrawing(true);
-      currentStrokeRef.current = [pos];
       currentStrokeStyleRef.current = {
         tool,
         color,
-        width: LINE_WIDTH,
+        width: lineWidth,
       };
 
+      if (tool === "strokeEraser") {
+        currentStrokeRef.current = [];
+        erasedIdsRef.current = new Set();
+        eraseAt(pos);
+        return;
+      }
+
+      currentStrokeRef.current = [pos];
+      shapeStartRef.current = SHAPE_TOOLS.includes(tool) ? pos : null;
+
+      strokeIdRef.current += 1;
+      if (!strokeIdPrefixRef.current) {
+        strokeIdPrefixRef.current = `${participantId}-${Date.now().toString(36)}`;
+      }
+      currentStrokeIdRef.current = `${strokeIdPrefixRef.current}-${strokeIdRef.current}`;
+      pendingPartialRef.current = [pos];
+      partialIndexRef.current = 0;
+      lastPartialAtRef.current = Date.now();
+
       // Draw first point
       const ctx = contextRef.current;
       if (ctx) {
+        const { w: canvasW, h: canvasH } = canvasSizeRef.current;
         ctx.beginPath();
-        ctx.strokeStyle = tool === "eraser" ? "#ffffff" : color;
-        ctx.lineWidth = tool === "eraser" ? ERASER_WIDTH : LINE_WIDTH;
-        ctx.moveTo(pos.x, pos.y);
+        applyStrokeStyle(
+          ctx,
+          currentStrokeStyleRef.current,
+          canvasW / DRAW_SPACE_WIDTH
+        );
+        ctx.moveTo(pos.x * canvasW, pos.y * canvasH);
       }
     },
-    [tool, color]
+    [tool, color, lineWidth, participantId, eraseAt]
   );
 
   // Continue drawing
   const handleMove = useCallback(
     (e) => {
-      if (!isDrawing) return;
+      if (!isDrawing || e.pointerId !== activePointerIdRef.current) return;
       e.preventDefault();
 
       const pos = getPosition(e);
+      if (currentStrokeStyleRef.current.tool === "strokeEraser") {
+        eraseAt(pos);
+        return;
+      }
+
+      // Shapes: replace the preview outline (shapes aren't streamed live)
+      if (shapeStartRef.current) {
+        currentStrokeRef.current = shapePoints(
+          currentStrokeStyleRef.current.tool,
+          shapeStartRef.current,
+          pos
+        );
+        scheduleComposite();
+        return;
+      }
+
       const pts = currentStrokeRef.current;
       const last = pts[pts.length - 1];
       pts.push(pos);
 
+      // Stream new points in batches so others watch the stroke form
+      pendingPartialRef.current.push(pos);
+      const now = Date.now();
+      if (now - lastPartialAtRef.current >= PARTIAL_INTERVAL_MS) {
+        const s = currentStrokeStyleRef.current;
+        sendStrokePartial({
+          strokeId: currentStrokeIdRef.current,
+          index: partialIndexRef.current,
+          points: pendingPartialRef.current.map(quantizePoint),
+          color: s.color,
+          width: s.width || LINE_WIDTH,
+          tool: s.tool,
+        });
+        partialIndexRef.current += 1;
+        pendingPartialRef.current = [];
+        lastPartialAtRef.current = now;
+      }
+
       // Draw to canvas
       const ctx = contextRef.current;
       if (ctx) {
-        // Re-apply style each move because redrawCanvas() can change it
-        const s = currentStrokeStyleRef.current;
-        ctx.strokeStyle = s.tool === "eraser" ? "#ffffff" : s.color;
-        ctx.lineWidth =
-          s.tool === "eraser" ? ERASER_WIDTH : s.width || LINE_WIDTH;
+        const { w: canvasW, h: canvasH } = canvasSizeRef.current;
+        // Re-apply style each move because compositing can change it
+        applyStrokeStyle(
+          ctx,
+          currentStrokeStyleRef.current,
+          canvasW / DRAW_SPACE_WIDTH
+        );
+        if (pos.p !== undefined) {
+          ctx.lineWidth *= pressureFactor(((last.p ?? 0.5) + pos.p) / 2);
+        }
 
         // Draw a single segment (safe even if canvas was redrawn mid-stroke)
         ctx.beginPath();
-        ctx.moveTo(last.x, last.y);
-        ctx.lineTo(pos.x, pos.y);
+        ctx.moveTo(last.x * canvasW, last.y * canvasH);
+        ctx.lineTo(pos.x * canvasW, pos.y * canvasH);
         ctx.stroke();
       }
     },
-    [isDrawing]
+    [isDrawing, sendStrokePartial, eraseAt, scheduleComposite]
   );
 
   // End drawing
   const handleEnd = useCallback(
     (e) => {
-      if (!isDrawing) return;
-      e?.preventDefault();
+      if (!isDrawing || e.pointerId !== activePointerIdRef.current) return;
+      e.preventDefault();
 
       setIsDrawing(false);
+      activePointerIdRef.current = null;
+      const s = currentStrokeStyleRef.current;
+      const durationMs = Date.now() - pointerDownAtRef.current;
+
+      // Stroke eraser gesture: one erase action if it deleted anything
+      if (s.tool === "strokeEraser") {
+        if (erasedIdsRef.current.size > 0) {
+          onErase({ durationMs });
+          onToolUse(s.tool);
+        }
+        erasedIdsRef.current = new Set();
+        return;
+      }
+
+      // A click without dragging makes no shape
+      const pts = currentStrokeRef.current;
+      const { w: canvasW, h: canvasH } = canvasSizeRef.current;
+      const isEmptyShape =
+        shapeStartRef.current && pointsSpan(pts, canvasW, canvasH) < 2;
+      shapeStartRef.current = null;
 
       // Only save if we have points
-      if (currentStrokeRef.current.length > 1) {
-        strokeIdRef.current += 1;
-        const strokeId = `${participantId}-${strokeIdRef.current}`;
+      if (pts.length > 1 && !isEmptyShape) {
+        const strokeId = currentStrokeIdRef.current;
 
-        const s = currentStrokeStyleRef.current;
-        const { w: canvasW, h: canvasH } = canvasSizeRef.current;
         const stroke = {
           strokeId,
-          points: currentStrokeRef.current,
-          canvasW,
-          canvasH,
+          points: prepareStrokePoints(pts),
           color: s.color,
           width: s.width || LINE_WIDTH,
           tool: s.tool,
         };
 
-        // Record stroke (marks as interaction)
-        onStroke();
+        // Record stroke or erase action (marks as interaction)
+        if (s.tool === "eraser") {
+          onErase({ durationMs });
+        } else {
+          const ink = strokeInSpace(stroke);
+          onStroke({
+            durationMs,
+            inkLength: polylineLength(ink.points),
+            overlapsOthers: drawingStrokes.some(
+              (other) =>
+                other.participantId !== participantId &&
+                other.tool !== "eraser" &&
+                inkTouches(ink, strokeInSpace(other))
+            ),
+          });
+        }
+        onToolUse(s.tool);
 
         // Send to server
         sendStroke(stroke);
+
+        // A new stroke starts a new branch: nothing left to redo
+        setRedoStack([]);
       }
 
       currentStrokeRef.current = [];
+      pendingPartialRef.current = [];
+      // Wipe the leftover preview dot
+      if (isEmptyShape) scheduleComposite();
     },
-    [isDrawing, participantId, onStroke, sendStroke]
+    [
+      isDrawing,
+      drawingStrokes,
+      participantId,
+      onStroke,
+      onErase,
+      onToolUse,
+      sendStroke,
+      scheduleComposite,
+    ]
   );
 
+  // Our newest stroke still on the canvas (not already undone / in flight)
+  const undoableStroke = drawingStrokes.findLast(
+    (s) => s.participantId === participantId && !redoStack.includes(s.id)
+  );
+
+  // Undo: the server removes the stroke for everyone (stroke_removed)
+  const handleUndo = useCallback(() => {
+    if (!undoableStroke) return;
+    undoStroke(undoableStroke.id);
+    setRedoStack((prev) => [...prev, undoableStroke.id]);
+    onUndo();
+  }, [undoableStroke, undoStroke, onUndo]);
+
+  // Redo: the server restores it in its original place (stroke_restored)
+  const handleRedo = useCallback(() => {
+    if (redoStack.length === 0) return;
+    redoStroke(redoStack[redoStack.length - 1]);
+    setRedoStack((prev) => prev.slice(0, -1));
+    onRedo();
+  }, [redoStack, redoStroke, onRedo]);
+
+  // Keyboard shortcuts: Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("input, textarea")) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [handleUndo, handleRedo]);
+
+  // Download the canvas as the server renders it (full history, PNG); the
+  // server hands out a one-time ticket to participants in the room
+  const handleSaveImage = async () => {
+    setSaveStatus("saving");
+    try {
+      const ticket = await requestExportTicket();
+      const res = await fetch(
+        `${API_URL}/drawing/export?study=${encodeURIComponent(STUDY_ID)}&format=png`,
+        { headers: { Authorization: `Bearer ${ticket}` } }
+      );
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `drawing-${STUDY_ID}.png`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      setSaveStatus(null);
+    } catch (err) {
+      console.warn("[Draw] Save image failed:", err);
+      setSaveStatus("error");
+    }
+  };
+
+  // Pointers: ours is shared and others' are shown only if the study
+  // enables them (the server doesn't relay them otherwise)
+  const showPointers = Boolean(studyConfig?.drawPointers);
+
+  // Share our pointer position over the canvas, throttled
+  const sharePointer = (e) => {
+    const now = Date.now();
+    if (now - lastPointerSentRef.current < 1000 / POINTER_FPS) return;
+    lastPointerSentRef.current = now;
+    const { x, y } = getPosition(e);
+    sendCursor({ x, y, active: true, pointerType: e.pointerType || "mouse" });
+  };
+
+  const handlePointerMove = (e) => {
+    if (showPointers) sharePointer(e);
+    handleMove(e);
+  };
+
+  // Pointer left the canvas (also after a touch ends): hide our dot
+  const handlePointerLeave = (e) => {
+    if (!showPointers) return;
+    const { x, y } = getPosition(e);
+    lastPointerSentRef.current = Date.now();
+    sendCursor({ x, y, active: false, pointerType: e.pointerType || "mouse" });
+  };
+
+  const remotePointers = showPointers
+    ? Object.entries(cursorStates || {}).filter(
+        ([id, s]) => id !== participantId && s?.active
+      )
+    : [];
+
   // Handle clear
+  const clearPolicy = studyConfig?.clearPolicy ?? "anyone";
+  const isVoteOpen = Boolean(clearVote && !clearVote.outcome);
+  const canVote =
+    isVoteOpen &&
+    clearVote.voters.includes(participantId) &&
+    !clearVote.voted.includes(participantId);
+
+  // A full clear comes back as clear_drawing, which drops the redo history
   const handleClear = () => {
     clearDrawing();
   };
@@ -287,6 +998,27 @@ export function Room6Drawing({
           >
             ✏️
           </button>
+          <button
+            className={`tool-btn ${tool === "line" ? "active" : ""}`}
+            onClick={() => setTool("line")}
+            title="Line"
+          >
+            ╱
+          </button>
+          <button
+            className={`tool-btn ${tool === "rect" ? "active" : ""}`}
+            onClick={() => setTool("rect")}
+            title="Rectangle"
+          >
+            ▭
+          </button>
+          <button
+            className={`tool-btn ${tool === "ellipse" ? "active" : ""}`}
+            onClick={() => setTool("ellipse")}
+            title="Ellipse"
+          >
+            ◯
+          </button>
           <button
             className={`tool-btn ${tool === "eraser" ? "active" : ""}`}
             onClick={() => setTool("eraser")}
@@ -294,6 +1026,47 @@ export function Room6Drawing({
           >
             🧽
           </button>
+          <button
+            className={`tool-btn ${tool === "strokeEraser" ? "active" : ""}`}
+            onClick={() => setTool("strokeEraser")}
+            title="Stroke eraser (deletes whole strokes)"
+          >
+            🧹
+          </button>
+        </div>
+
+        <label
+          className="width-control"
+          title="Brush size (scales with the canvas)"
+        >
+          <input
+            type="range"
+            min={MIN_LINE_WIDTH}
+            max={MAX_LINE_WIDTH}
+            value={lineWidth}
+            onChange={(e) => setLineWidth(Number(e.target.value))}
+            disabled={tool === "eraser" || tool === "strokeEraser"}
+          />
+          <span className="width-value">{lineWidth}</span>
+        </label>
+
+        <div className="tool-group">
+          <button
+            className="tool-btn"
+            onClick={handleUndo}
+            disabled={!undoableStroke}
+            title="Undo (Ctrl+Z)"
+          >
+            ↶
+          </button>
+          <button
+            className="tool-btn"
+            onClick={handleRedo}
+            disabled={redoStack.length === 0}
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            ↷
+          </button>
         </div>
 
         <div className="color-group">
@@ -319,23 +1092,109 @@ export function Room6Drawing({
           </div>
         </div>
 
-        <button className="clear-btn" onClick={handleClear}>
-          Clear All
-        </button>
+        {/* Hidden until the server confirms the study allows artifact capture */}
+        {studyConfig?.artifactCapture && (
+          <button
+            className="clear-btn"
+            onClick={handleSaveImage}
+            disabled={saveStatus === "saving"}
+          >
+            {saveStatus === "saving"
+              ? "Saving…"
+              : saveStatus === "error"
+                ? "Save failed, retry"
+                : "Save image"}
+          </button>
+        )}
+
+        {clearPolicy !== "researcher" && (
+          <button
+            className="clear-btn"
+            onClick={handleClear}
+            disabled={isVoteOpen}
+            title={
+              clearPolicy === "vote"
+                ? "Asks everyone here to vote"
+                : clearPolicy === "own"
+                  ? "Removes only your strokes"
+                  : undefined
+            }
+          >
+            {clearPolicy === "own" ? "Clear Mine" : "Clear All"}
+          </button>
+        )}
       </div>
 
-      <div className="drawing-canvas-container">
-        <canvas
-          ref={canvasRef}
-          className="drawing-canvas"
-          onMouseDown={handleStart}
-          onMouseMove={handleMove}
-          onMouseUp={handleEnd}
-          onMouseLeave={handleEnd}
-          onTouchStart={handleStart}
-          onTouchMove={handleMove}
-          onTouchEnd={handleEnd}
-        />
+      {clearVote && (
+        <div className="clear-vote" role="status">
+          {clearVote.outcome ? (
+            <span>
+              {clearVote.outcome === "passed"
+                ? "Vote passed: the canvas was cleared."
+                : "Vote to clear the canvas did not pass."}
+            </span>
+          ) : (
+            <>
+              <span>
+                Clear the canvas for everyone? {clearVote.yes} yes,{" "}
+                {clearVote.no} no ({clearVote.needed} of{" "}
+                {clearVote.voters.length} needed)
+              </span>
+              {canVote && (
+                <span className="clear-vote-actions">
+                  <button
+                    className="clear-btn"
+                    onClick={() => sendClearVote(clearVote.voteId, true)}
+                  >
+                    Yes, clear
+                  </button>
+                  <button
+                    className="clear-btn"
+                    onClick={() => sendClearVote(clearVote.voteId, false)}
+                  >
+                    No, keep
+                  </button>
+                </span>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {rejectedStroke && (
+        <div className="clear-vote" role="status">
+          <span>
+            Your last stroke could not be saved. Please draw it again.
+          </span>
+        </div>
+      )}
+
+      <div className="drawing-canvas-container" ref={containerRef}>
+        <div className="drawing-stage">
+          <canvas
+            ref={canvasRef}
+            className="drawing-canvas"
+            onPointerDown={handleStart}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handleEnd}
+            onPointerCancel={handleEnd}
+            onPointerLeave={handlePointerLeave}
+          />
+
+          {/* Others' pointers: anonymous, told apart by color only */}
+          {remotePointers.map(([id, s]) => (
+            <div
+              key={id}
+              className="drawing-pointer"
+              style={{
+                left: `${s.x * 100}%`,
+                top: `${s.y * 100}%`,
+                background: pointerColor(id),
+              }}
+              aria-hidden="true"
+            />
+          ))}
+        </div>
       </div>
 
       <div className="room-info">
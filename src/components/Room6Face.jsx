@@ -3,13 +3,43 @@
  * Local-only face landmark detection (no remote video processing).
  * Sends only minimal 2D points (eyes/nose/mouth) at ~10–15fps.
  * Renders received points as thin ambient line traces on a canvas.
+ * Coarse expressions (smile, eyebrow raise, mouth open, nod, shake) are
+ * detected on the device from blendshapes and head pose; only the event name
+ * is sent, and everyone sees it as a short animation of that face's trace.
+ * Reports face-detected time, frames sent and expression events to the
+ * session (onFace).
  */
 
-import { FilesetResolver, FaceLandmarker } from "@mediapipe/tasks-vision";
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useFaceLandmarker } from "../hooks/useFaceLandmarker";
 
 const SEND_FPS = 12;
 const STALE_MS = 4000;
+// Longer gaps between detections (tab in background) are not counted as time
+const MAX_DETECT_GAP_MS = 500;
+// How often face metrics are handed to the session
+const FACE_REPORT_MS = 2000;
+// Blendshape-based expressions fire when their level (0..1) reaches `on`,
+// and re-arm once it drops to `off`
+const EXPRESSION_THRESHOLDS = {
+  smile: { on: 0.6, off: 0.3 },
+  browRaise: { on: 0.5, off: 0.25 },
+  mouthOpen: { on: 0.5, off: 0.2 },
+};
+// Two head swings of at least HEAD_SWING_DEG within HEAD_GESTURE_MS make a
+// nod (pitch) or a shake (yaw)
+const HEAD_SWING_DEG = 6;
+const HEAD_GESTURE_MS = 1000;
+// How long an expression animates on the canvas
+const EXPRESSION_ANIM_MS = 1500;
+// Session counter per expression
+const EXPRESSION_FIELDS = {
+  smile: "smileEvents",
+  browRaise: "browRaiseEvents",
+  mouthOpen: "mouthOpenEvents",
+  nod: "nodEvents",
+  shake: "shakeEvents",
+};
 
 // Minimal landmark indices (MediaPipe Face Mesh / FaceLandmarker)
 // Order matters: receiver draws lines using the same order.
@@ -37,7 +67,147 @@ function clamp01(n) {
   return Math.max(0, Math.min(1, n));
 }
 
-export function Room6Face({ participantId, faceStates, sendFace }) {
+function emptyFaceCounts() {
+  const counts = { faceDetectedMs: 0, framesSent: 0 };
+  Object.values(EXPRESSION_FIELDS).forEach((field) => {
+    counts[field] = 0;
+  });
+  return counts;
+}
+
+function emptySwing() {
+  return { extreme: null, dir: 0, swings: [] };
+}
+
+function createExpressionTracker() {
+  return {
+    armed: { smile: true, browRaise: true, mouthOpen: true },
+    pitch: emptySwing(),
+    yaw: emptySwing(),
+  };
+}
+
+// Blendshape scores -> coarse expression levels (0..1)
+function expressionLevels(categories) {
+  const score = {};
+  categories.forEach((c) => {
+    score[c.categoryName] = c.score;
+  });
+  const avg = (a, b) => ((score[a] || 0) + (score[b] || 0)) / 2;
+  return {
+    smile: avg("mouthSmileLeft", "mouthSmileRight"),
+    browRaise: Math.max(
+      score.browInnerUp || 0,
+      avg("browOuterUpLeft", "browOuterUpRight")
+    ),
+    mouthOpen: score.jawOpen || 0,
+  };
+}
+
+// Head pitch and yaw (degrees) from the facial transformation matrix. Their
+// sign depends on the matrix layout, which doesn't matter here: gestures are
+// swings back and forth.
+function headAngles(matrix) {
+  const m = matrix.data;
+  const toDeg = 180 / Math.PI;
+  return {
+    pitch: Math.atan2(m[9], m[10]) * toDeg,
+    yaw: Math.atan2(-m[8], Math.hypot(m[9], m[10])) * toDeg,
+  };
+}
+
+// Follow one head angle; true when it completes a back-and-forth gesture
+function trackSwing(swing, value, now) {
+  if (swing.extreme === null) {
+    swing.extreme = value;
+    return false;
+  }
+  const heading = Math.sign(value - swing.extreme);
+  if (heading === swing.dir) {
+    // Still heading the same way: the turning point moves along
+    swing.extreme = value;
+    return false;
+  }
+  if (Math.abs(value - swing.extreme) < HEAD_SWING_DEG) return false;
+
+  // Turned back (or set off) by at least a swing
+  swing.dir = heading;
+  swing.extreme = value;
+  swing.swings = swing.swings.filter((at) => now - at <= HEAD_GESTURE_MS);
+  swing.swings.push(now);
+  if (swing.swings.length < 2) return false;
+  swing.swings = [];
+  return true;
+}
+
+// Expressions completed by this detection result (names as in
+// EXPRESSION_FIELDS)
+function detectExpressions(tracker, result, now) {
+  const events = [];
+  const categories = result.faceBlendshapes?.[0]?.categories;
+  if (categories) {
+    const levels = expressionLevels(categories);
+    Object.entries(EXPRESSION_THRESHOLDS).forEach(([name, { on, off }]) => {
+      if (tracker.armed[name] && levels[name] >= on) {
+        tracker.armed[name] = false;
+        events.push(name);
+      } else if (!tracker.armed[name] && levels[name] <= off) {
+        tracker.armed[name] = true;
+      }
+    });
+  }
+  const matrix = result.facialTransformationMatrixes?.[0];
+  if (matrix) {
+    const { pitch, yaw } = headAngles(matrix);
+    if (trackSwing(tracker.pitch, pitch, now)) events.push("nod");
+    if (trackSwing(tracker.yaw, yaw, now)) events.push("shake");
+  }
+  return events;
+}
+
+// Nods and shakes move the whole trace: a damped wobble, `t` = 0..1 through
+// the animation
+function gestureOffset(expression, t, size) {
+  const wobble = Math.sin(t * 4 * Math.PI) * (1 - t) * size * 0.12;
+  if (expression === "nod") return { dx: 0, dy: wobble };
+  if (expression === "shake") return { dx: wobble, dy: 0 };
+  return { dx: 0, dy: 0 };
+}
+
+// Other expressions draw an abstract shape around the face (centre cx/cy,
+// width `size`), fading out
+function drawExpression(ctx, expression, t, { cx, cy, size }, color) {
+  ctx.save();
+  ctx.globalAlpha = 1 - t;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  if (expression === "smile") {
+    // A curve widening under the face
+    ctx.arc(cx, cy, size * (0.6 + 0.5 * t), 0.2 * Math.PI, 0.8 * Math.PI);
+  } else if (expression === "browRaise") {
+    // Two strokes floating up over the eyes
+    const y = cy - size * (0.6 + 0.4 * t);
+    ctx.moveTo(cx - size * 0.45, y);
+    ctx.lineTo(cx - size * 0.15, y - size * 0.08);
+    ctx.moveTo(cx + size * 0.15, y - size * 0.08);
+    ctx.lineTo(cx + size * 0.45, y);
+  } else if (expression === "mouthOpen") {
+    // A ring opening out from the face
+    ctx.arc(cx, cy, size * (0.3 + 0.9 * t), 0, 2 * Math.PI);
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+export function Room6Face({
+  participantId,
+  faceStates,
+  faceExpressions,
+  sendFace,
+  sendFaceExpression,
+  onFace,
+}) {
   const [hasPermission, setHasPermission] = useState(null);
   const [error, setError] = useState(null);
 
@@ -46,8 +216,20 @@ export function Room6Face({ participantId, faceStates, sendFace }) {
   const videoRef = useRef(null);
   const rafRef = useRef(null);
   const lastSendRef = useRef(0);
-  const landmarkerRef = useRef(null);
   const runningRef = useRef(false);
+  const onFaceRef = useRef(onFace);
+  // Face metrics not yet reported
+  const faceCountsRef = useRef(emptyFaceCounts());
+  const lastDetectRef = useRef(null); // { at, found }
+  const expressionTrackerRef = useRef(createExpressionTracker());
+
+  // WASM + model from our own origin, verified, once the camera is allowed
+  const {
+    status: modelStatus,
+    progress: modelProgress,
+    error: modelError,
+    landmarkerRef,
+  } = useFaceLandmarker(hasPermission === true);
 
   const localColor = useMemo(() => colorFromId(participantId), [participantId]);
 
@@ -67,6 +249,25 @@ export function Room6Face({ participantId, faceStates, sendFace }) {
     ctx.lineJoin = "round";
   }, []);
 
+  useEffect(() => {
+    onFaceRef.current = onFace;
+  }, [onFace]);
+
+  // Hand face metrics to the session in batches, and on leaving
+  useEffect(() => {
+    const report = () => {
+      const counts = faceCountsRef.current;
+      if (Object.values(counts).every((n) => !n)) return;
+      faceCountsRef.current = emptyFaceCounts();
+      onFaceRef.current?.(counts);
+    };
+    const id = setInterval(report, FACE_REPORT_MS);
+    return () => {
+      clearInterval(id);
+      report();
+    };
+  }, []);
+
   // Local camera stream (low-res)
   useEffect(() => {
     let stream;
@@ -103,36 +304,6 @@ export function Room6Face({ participantId, faceStates, sendFace }) {
     };
   }, []);
 
-  // Init face landmarker (WASM + model) after permission
-  useEffect(() => {
-    if (hasPermission !== true) return;
-    let cancelled = false;
-    async function init() {
-      try {
-        const vision = await FilesetResolver.forVisionTasks(
-          "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm"
-        );
-        const landmarker = await FaceLandmarker.createFromOptions(vision, {
-          baseOptions: {
-            modelAssetPath:
-              "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task",
-          },
-          runningMode: "VIDEO",
-          numFaces: 1,
-        });
-        if (cancelled) return;
-        landmarkerRef.current = landmarker;
-      } catch (e) {
-        setError(e?.message || "Failed to initialize face detector.");
-      }
-    }
-    init();
-    return () => {
-      cancelled = true;
-      landmarkerRef.current = null;
-    };
-  }, [hasPermission]);
-
   // Resize observer
   useEffect(() => {
     setupCanvasSize();
@@ -178,15 +349,36 @@ export function Room6Face({ participantId, faceStates, sendFace }) {
 
       // Render remote + local states (no IDs)
       const tNow = Date.now();
+
+      // Expression events still animating, per participant
+      const animating = new Map(); // participantId -> [{ expression, t }]
+      (faceExpressions || []).forEach((e) => {
+        const t = (tNow - e.receivedAt) / EXPRESSION_ANIM_MS;
+        if (t < 0 || t >= 1) return;
+        if (!animating.has(e.participantId)) animating.set(e.participantId, []);
+        animating.get(e.participantId).push({ expression: e.expression, t });
+      });
+
       Object.entries(faceStates || {}).forEach(([id, s]) => {
         if (!s?.points?.length) return;
         if (tNow - (s.timestamp || 0) > STALE_MS) return;
         const c = id === participantId ? localColor : colorFromId(id);
-        const pts = s.points
-          .map((p) => ({
-            x: clamp01(p.x) * w,
-            y: clamp01(p.y) * h,
-          }));
+        const xs = s.points.map((p) => clamp01(p.x) * w);
+        const ys = s.points.map((p) => clamp01(p.y) * h);
+        const face = {
+          cx: (Math.min(...xs) + Math.max(...xs)) / 2,
+          cy: (Math.min(...ys) + Math.max(...ys)) / 2,
+          size: Math.max(...xs) - Math.min(...xs),
+        };
+        const anims = animating.get(id) || [];
+        let dx = 0;
+        let dy = 0;
+        anims.forEach(({ expression, t }) => {
+          const offset = gestureOffset(expression, t, face.size);
+          dx += offset.dx;
+          dy += offset.dy;
+        });
+        const pts = xs.map((x, i) => ({ x: x + dx, y: ys[i] + dy }));
 
         // Reconstruct parts in fixed order
         let offset = 0;
@@ -196,6 +388,9 @@ export function Room6Face({ participantId, faceStates, sendFace }) {
           drawLines(ctx, seg, c);
           offset += count;
         }
+        anims.forEach(({ expression, t }) => {
+          drawExpression(ctx, expression, t, face, c);
+        });
       });
 
       // Local detection + send (10–15 fps)
@@ -205,17 +400,41 @@ export function Room6Face({ participantId, faceStates, sendFace }) {
         try {
           const res = landmarkerRef.current.detectForVideo(video, now);
           const landmarks = res?.faceLandmarks?.[0];
+          // Time since the last detection counts if a face was there
+          // at both ends
+          const found = Boolean(landmarks?.length);
+          const last = lastDetectRef.current;
+          if (found && last?.found && now - last.at <= MAX_DETECT_GAP_MS) {
+            faceCountsRef.current.faceDetectedMs += now - last.at;
+          }
+          lastDetectRef.current = { at: now, found };
+          if (found) {
+            // Only the expression's name leaves the device
+            detectExpressions(expressionTrackerRef.current, res, now).forEach(
+              (expression) => {
+                sendFaceExpression(expression);
+                faceCountsRef.current[EXPRESSION_FIELDS[expression]] += 1;
+              }
+            );
+          } else {
+            // Head gestures don't span a lost face
+            expressionTrackerRef.current.pitch = emptySwing();
+            expressionTrackerRef.current.yaw = emptySwing();
+          }
           if (landmarks && landmarks.length) {
             const out = [];
             for (const part of FACE_PARTS) {
               for (const idx of part.idx) {
                 const lm = landmarks[idx];
                 if (!lm) continue;
-                out.push({ x: lm.x, y: lm.y });
+                // Landmarks can fall just outside the frame; the server
+                // only accepts 0..1
+                out.push({ x: clamp01(lm.x), y: clamp01(lm.y) });
               }
             }
             if (out.length) {
               sendFace({ points: out });
+              faceCountsRef.current.framesSent += 1;
             }
           }
         } catch {
@@ -231,31 +450,41 @@ export function Room6Face({ participantId, faceStates, sendFace }) {
       runningRef.current = false;
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
     };
-  }, [faceStates, participantId, localColor, drawLines, sendFace]);
-
-  if (hasPermission === false) {
-    return (
-      <div className="room-permission-denied">
-        <div className="permission-icon">🙂</div>
-        <h3>Camera Required</h3>
-        <p>{error}</p>
-      </div>
-    );
-  }
-
-  if (hasPermission === null) {
-    return (
-      <div className="room-loading">
-        <div className="loading-spinner" />
-        <p>Requesting camera access...</p>
-      </div>
-    );
-  }
+  }, [
+    faceStates,
+    faceExpressions,
+    participantId,
+    localColor,
+    drawLines,
+    sendFace,
+    sendFaceExpression,
+    landmarkerRef,
+  ]);
 
+  // The stage (canvas + video) is always mounted: the camera, resize and
+  // render effects attach to it on mount, before permission is known
   return (
     <div className="face-room">
       <div className="face-stage" ref={containerRef}>
         <canvas ref={canvasRef} className="face-canvas" />
+        {hasPermission === false ? (
+          <div className="room-permission-denied">
+            <div className="permission-icon">🙂</div>
+            <h3>Camera Required</h3>
+            <p>{error}</p>
+          </div>
+        ) : hasPermission === null ? (
+          <div className="face-loading">
+            <div className="loading-spinner" />
+            <p>Requesting camera access...</p>
+          </div>
+        ) : modelStatus === "loading" ? (
+          <div className="face-loading">
+            <div className="loading-spinner" />
+            <p>Loading face model... {Math.round(modelProgress * 100)}%</p>
+            <progress value={modelProgress} max={1} />
+          </div>
+        ) : null}
         {/* Hidden local video: used only for local landmark detection */}
         <video
           ref={videoRef}
@@ -265,7 +494,10 @@ export function Room6Face({ participantId, faceStates, sendFace }) {
           style={{ display: "none" }}
         />
       </div>
-      {error ? <p className="face-note">Note: {error}</p> : null}
+      {hasPermission && error ? (
+        <p className="face-note">Note: {error}</p>
+      ) : null}
+      {modelError ? <p className="face-note">Note: {modelError}</p> : null}
     </div>
   );
 }
@@ -1,9 +1,10 @@
 /**
  * Room Switcher Modal
- * Allows users to move between rooms with permission gates
+ * Allows users to move between rooms with permission gates (and consent,
+ * for rooms that ask for it)
  */
 
-import { ROOMS, roomRequiresPermission } from "../config/zones";
+import { ROOMS, roomConsent, roomRequiresPermission } from "../config/zones";
 import { useCallback, useState } from "react";
 
 export function RoomSwitcher({
@@ -15,11 +16,10 @@ export function RoomSwitcher({
 }) {
   const [permissionError, setPermissionError] = useState(null);
   const [checkingPermission, setCheckingPermission] = useState(null);
+  const [consentRoom, setConsentRoom] = useState(null);
 
-  const handleSwitch = useCallback(
+  const switchWithPermission = useCallback(
     async (roomId) => {
-      if (roomId === currentRoom) return;
-
       const permission = roomRequiresPermission(roomId);
 
       if (!permission) {
@@ -58,17 +58,85 @@ export function RoomSwitcher({
         });
       }
     },
-    [currentRoom, onSwitch]
+    [onSwitch]
+  );
+
+  const handleSwitch = useCallback(
+    (roomId) => {
+      if (roomId === currentRoom) return;
+
+      // Rooms with a consent text ask first, then check permission
+      if (roomConsent(roomId)) {
+        setConsentRoom(roomId);
+        setPermissionError(null);
+        return;
+      }
+      switchWithPermission(roomId);
+    },
+    [currentRoom, switchWithPermission]
   );
 
+  const handleConsent = useCallback(() => {
+    const roomId = consentRoom;
+    setConsentRoom(null);
+    switchWithPermission(roomId);
+  }, [consentRoom, switchWithPermission]);
+
+  const handleClose = useCallback(() => {
+    setConsentRoom(null);
+    onClose();
+  }, [onClose]);
+
   if (!isOpen) return null;
 
+  if (consentRoom) {
+    const room = ROOMS[consentRoom];
+    return (
+      <div className="modal-overlay" onClick={handleClose}>
+        <div
+          className="modal permission-modal"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="modal-header">
+            <h3>
+              Room {room.id}: {room.name}
+            </h3>
+            <button className="modal-close" onClick={handleClose}>
+              ×
+            </button>
+          </div>
+
+          <div className="permission-content">
+            <div className="permission-icon">{room.icon}</div>
+            <div className="permission-consent">
+              <p>{room.rules}</p>
+              <p>
+                <strong>{room.consent}</strong>
+              </p>
+            </div>
+            <div className="permission-actions">
+              <button
+                className="btn-cancel"
+                onClick={() => setConsentRoom(null)}
+              >
+                Back
+              </button>
+              <button className="btn-grant" onClick={handleConsent}>
+                Agree & Enter
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
-    <div className="modal-overlay" onClick={onClose}>
+    <div className="modal-overlay" onClick={handleClose}>
       <div className="modal" onClick={(e) => e.stopPropagation()}>
         <div className="modal-header">
           <h3>Change Room</h3>
-          <button className="modal-close" onClick={onClose}>
+          <button className="modal-close" onClick={handleClose}>
             ×
           </button>
         </div>
@@ -21,6 +21,12 @@ export function RoomView({
   onSpeakingEvent,
   onMessageSent,
   onStroke,
+  onErase,
+  onToolUse,
+  onMove,
+  onFace,
+  onUndo,
+  onRedo,
   onIdleWithOthers,
   hasInteracted,
   // WebSocket callbacks
@@ -28,11 +34,27 @@ export function RoomView({
   incomingMessages,
   cursorStates,
   sendCursor,
+  moveObjects,
+  jointPushCount,
   faceStates,
+  faceExpressions,
   sendFace,
+  sendFaceExpression,
   drawingStrokes,
+  drawingBase,
+  drawingResets,
+  liveStrokes,
   sendStroke,
+  sendStrokePartial,
+  eraseStrokes,
+  studyConfig,
+  undoStroke,
+  redoStroke,
   clearDrawing,
+  clearVote,
+  rejectedStroke,
+  sendClearVote,
+  requestExportTicket,
 }) {
   const room = ROOMS[roomId];
 
@@ -102,11 +124,29 @@ export function RoomView({
             participantId={participantId}
             presenceCount={presenceCount}
             drawingStrokes={drawingStrokes}
+            drawingBase={drawingBase}
+            drawingResets={drawingResets}
+            liveStrokes={liveStrokes}
+            cursorStates={cursorStates}
             onStroke={onStroke}
+            onErase={onErase}
+            onToolUse={onToolUse}
+            onUndo={onUndo}
+            onRedo={onRedo}
             onIdleWithOthers={onIdleWithOthers}
             hasInteracted={hasInteracted}
             sendStroke={sendStroke}
+            sendStrokePartial={sendStrokePartial}
+            sendCursor={sendCursor}
+            eraseStrokes={eraseStrokes}
+            studyConfig={studyConfig}
+            undoStroke={undoStroke}
+            redoStroke={redoStroke}
             clearDrawing={clearDrawing}
+            clearVote={clearVote}
+            rejectedStroke={rejectedStroke}
+            sendClearVote={sendClearVote}
+            requestExportTicket={requestExportTicket}
           />
         )}
 
@@ -115,6 +155,10 @@ export function RoomView({
             participantId={participantId}
             cursorStates={cursorStates}
             sendCursor={sendCursor}
+            moveObjects={moveObjects}
+            jointPushCount={jointPushCount}
+            studyConfig={studyConfig}
+            onMove={onMove}
           />
         )}
 
@@ -122,7 +166,10 @@ export function RoomView({
           <Room6Face
             participantId={participantId}
             faceStates={faceStates}
+            faceExpressions={faceExpressions}
             sendFace={sendFace}
+            sendFaceExpression={sendFaceExpression}
+            onFace={onFace}
           />
         )}
       </div>
@@ -15,9 +15,13 @@ export const API_URL =
   ) ||
   "http://localhost:3001";
 
-// Google Apps Script endpoint for data collection
-// Deploy your Apps Script as a web app and paste the URL here
+// Endpoint for data collection. Either our own server's ingestion route
+// (e.g. http://localhost:3001/sessions) or a Google Apps Script web app URL
 export const DATA_ENDPOINT = import.meta.env.VITE_DATA_ENDPOINT || "";
 
+// Apps Script only accepts opaque (no-cors) posts, so no acknowledgement is readable
+export const DATA_ENDPOINT_IS_APPS_SCRIPT =
+  DATA_ENDPOINT.includes("script.google.com");
+
 // How often to auto-save session data (ms) - 0 to disable
 export const AUTO_SAVE_INTERVAL = 60000; // 1 minute
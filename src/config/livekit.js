@@ -3,6 +3,8 @@
  * Get your API keys from https://cloud.livekit.io
  */
 
+import { STUDY_ID } from "./study";
+
 // LiveKit Cloud URL (or your self-hosted server URL)
 export const LIVEKIT_URL =
   import.meta.env.VITE_LIVEKIT_URL || "wss://your-project.livekit.cloud";
@@ -21,7 +23,7 @@ export const ROOM_PREFIXES = {
   2: "audio-room-", // Room 2: Audio only
 };
 
-// Get full room name
+// Get full room name (scoped to the current study, e.g. "video-room-pilot")
 export function getRoomName(roomId) {
-  return `${ROOM_PREFIXES[roomId] || "room-"}main`;
+  return `${ROOM_PREFIXES[roomId] || "room-"}${STUDY_ID}`;
 }
@@ -0,0 +1,40 @@
+/**
+ * Study Configuration
+ * Several studies (e.g. a pilot and the main study) can share one server.
+ * The study is picked from the URL (?study=pilot), then VITE_STUDY_ID,
+ * then falls back to "main". A link whose ?study= is not a valid id never
+ * falls back: the app shows an error instead (see STUDY_LINK_INVALID), as it
+ * does when the server doesn't run the study.
+ */
+
+export const DEFAULT_STUDY_ID = "main";
+
+// Same rules as the server: lowercase letters, digits, "-" and "_", max 32 chars
+export function sanitizeStudyId(raw) {
+  const id = String(raw || "")
+    .trim()
+    .toLowerCase();
+  return /^[a-z0-9_-]{1,32}$/.test(id) ? id : null;
+}
+
+// ?study= of the page URL ("" or null when the link has none)
+const STUDY_PARAM =
+  typeof window !== "undefined"
+    ? new URLSearchParams(window.location.search).get("study")
+    : null;
+
+// The link names a study but the id is malformed (e.g. a typo): the app
+// refuses to connect or upload rather than join another study
+export const STUDY_LINK_INVALID =
+  Boolean(STUDY_PARAM) && !sanitizeStudyId(STUDY_PARAM);
+
+function resolveStudyId() {
+  return (
+    sanitizeStudyId(STUDY_PARAM) ||
+    sanitizeStudyId(import.meta.env.VITE_STUDY_ID) ||
+    DEFAULT_STUDY_ID
+  );
+}
+
+// Study this browser tab belongs to (fixed for the lifetime of the page)
+export const STUDY_ID = resolveStudyId();
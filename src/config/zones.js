@@ -1,6 +1,9 @@
 /**
  * Room Configuration
- * Research prototype with 4 rooms: Video, Audio, Messages, Drawing
+ * Research prototype with 6 rooms: Video, Audio, Messages, Drawing, Move, Face
+ *
+ * A room with `consent` shows that text (with its rules) and asks for
+ * agreement before its permission is requested.
  */
 
 export const ROOMS = {
@@ -57,6 +60,19 @@ export const ROOMS = {
     color: "room5",
     icon: "👋",
   },
+  6: {
+    id: 6,
+    name: "Face",
+    shortDesc: "Faces as soft lines.",
+    description: "Others see a few lines tracing your eyes, nose and mouth.",
+    rules:
+      "Your camera is ON but your video is never shown or sent. Microphone is always OFF.",
+    consent:
+      "Your face is detected on this device only. Just a few landmark points (eyes, nose, mouth) leave it, drawn for others as anonymous lines. When you smile, raise your eyebrows, open your mouth, nod or shake your head, others see which one, and how often each happened is saved with your session data. No video or images are sent or stored.",
+    permission: "camera",
+    color: "room6",
+    icon: "🙂",
+  },
 };
 
 // Get room by ID
@@ -69,6 +85,12 @@ export function getRoomIds() {
   return Object.keys(ROOMS).map(Number);
 }
 
+// Consent text shown before entering a room (null = none)
+export function roomConsent(roomId) {
+  const room = ROOMS[roomId];
+  return room?.consent || null;
+}
+
 // Check if room requires permission
 export function roomRequiresPermission(roomId) {
   const room = ROOMS[roomId];
@@ -0,0 +1,95 @@
+/**
+ * Admin Feed Hook
+ * Subscribes the researcher dashboard to a study's live activity
+ * (occupancy, participants, join/leave events) over the WebSocket server.
+ */
+
+import { useEffect, useRef, useState } from "react";
+
+import { WS_URL } from "../config/api";
+
+const RECONNECT_DELAY = 3000;
+// Server closes with this when ?study= names a study it doesn't run
+const UNKNOWN_STUDY_CLOSE_CODE = 4004;
+
+export function useAdminFeed(token, studyId) {
+  const [snapshot, setSnapshot] = useState(null);
+  const [status, setStatus] = useState("idle"); // idle | connecting | live | unauthorized | unknown study | disconnected
+  const [clockOffsetMs, setClockOffsetMs] = useState(0); // serverTime - local time
+
+  const wsRef = useRef(null);
+  const reconnectTimeoutRef = useRef(null);
+
+  useEffect(() => {
+    if (!token || !studyId) return;
+
+    let stopped = false;
+
+    const applySnapshot = (next) => {
+      setSnapshot(next);
+      setClockOffsetMs(next.serverTime - Date.now());
+    };
+
+    const connect = () => {
+      setStatus("connecting");
+      const url = new URL(WS_URL);
+      url.searchParams.set("study", studyId);
+      const ws = new WebSocket(url.toString());
+      wsRef.current = ws;
+
+      ws.onopen = () => {
+        ws.send(JSON.stringify({ type: "admin_subscribe", token, studyId }));
+      };
+
+      ws.onmessage = (event) => {
+        try {
+          const data = JSON.parse(event.data);
+          if (data.type === "admin_snapshot") {
+            applySnapshot(data.snapshot);
+            setStatus("live");
+          } else if (data.type === "admin_update") {
+            applySnapshot(data.snapshot);
+          } else if (data.type === "error" && data.code === "unauthorized") {
+            stopped = true;
+            setStatus("unauthorized");
+            ws.close();
+          } else if (data.type === "error" && data.code === "unknown_study") {
+            setSnapshot(null);
+            setStatus("unknown study");
+          }
+        } catch (err) {
+          console.error("[Admin] Parse error:", err);
+        }
+      };
+
+      ws.onclose = (event) => {
+        if (stopped) return;
+        if (event.code === UNKNOWN_STUDY_CLOSE_CODE) {
+          setSnapshot(null);
+          setStatus("unknown study");
+          return;
+        }
+        setStatus("disconnected");
+        reconnectTimeoutRef.current = setTimeout(connect, RECONNECT_DELAY);
+      };
+
+      ws.onerror = (err) => {
+        console.error("[Admin] Error:", err);
+      };
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      if (reconnectTimeoutRef.current) {
+        clearTimeout(reconnectTimeoutRef.current);
+      }
+      if (wsRef.current) {
+        wsRef.current.close();
+      }
+    };
+  }, [token, studyId]);
+
+  return { snapshot, status, clockOffsetMs };
+}
@@ -0,0 +1,140 @@
+/**
+ * Face Landmarker Hook
+ * Loads MediaPipe's face landmarker from our own origin (no CDN): the WASM
+ * and the model are downloaded with progress, checked against the SHA-256
+ * recorded at build time (scripts/mediapipeAssets.js), and only then run.
+ */
+
+import { FaceLandmarker, FilesetResolver } from "@mediapipe/tasks-vision";
+import { useEffect, useRef, useState } from "react";
+import { FACE_MODEL_ASSET, WASM_ASSETS } from "virtual:mediapipe-assets";
+
+async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (b) =>
+    b.toString(16).padStart(2, "0")
+  ).join("");
+}
+
+// Download an asset, reporting each chunk's size; rejects if the bytes
+// aren't the ones the build recorded
+async function fetchVerified(asset, onBytes) {
+  const res = await fetch(asset.url);
+  if (!res.ok) throw new Error(`Could not load ${asset.url} (${res.status})`);
+
+  const reader = res.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    onBytes(value.length);
+  }
+
+  const bytes = new Uint8Array(received);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  if ((await sha256Hex(bytes)) !== asset.sha256) {
+    throw new Error(`Integrity check failed for ${asset.url}`);
+  }
+  return bytes;
+}
+
+/**
+ * Start loading once `enabled` (e.g. camera allowed).
+ * Returns { status: "loading" | "ready" | "error", progress (0..1), error,
+ * landmarkerRef }.
+ */
+export function useFaceLandmarker(enabled) {
+  const [state, setState] = useState({
+    status: "loading",
+    progress: 0,
+    error: null,
+  });
+  const landmarkerRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+
+    async function load() {
+      if (!FACE_MODEL_ASSET) {
+        throw new Error("The face model is not installed on this server.");
+      }
+      const wasm = (await FilesetResolver.isSimdSupported())
+        ? WASM_ASSETS.simd
+        : WASM_ASSETS.nosimd;
+      const assets = [wasm.loader, wasm.binary, FACE_MODEL_ASSET];
+
+      // Progress over all three files, updated per whole percent
+      const total = assets.reduce((sum, a) => sum + a.bytes, 0);
+      let received = 0;
+      let shownPercent = 0;
+      const onBytes = (n) => {
+        received += n;
+        const percent = Math.floor((received / total) * 100);
+        if (cancelled || percent === shownPercent) return;
+        shownPercent = percent;
+        setState({ status: "loading", progress: percent / 100, error: null });
+      };
+
+      const [loader, binary, model] = await Promise.all(
+        assets.map((asset) => fetchVerified(asset, onBytes))
+      );
+      if (cancelled) return;
+
+      // Run the verified bytes, not a second (unchecked) download
+      const loaderUrl = URL.createObjectURL(
+        new Blob([loader], { type: "text/javascript" })
+      );
+      const binaryUrl = URL.createObjectURL(
+        new Blob([binary], { type: "application/wasm" })
+      );
+      try {
+        const landmarker = await FaceLandmarker.createFromOptions(
+          { wasmLoaderPath: loaderUrl, wasmBinaryPath: binaryUrl },
+          {
+            baseOptions: { modelAssetBuffer: model },
+            runningMode: "VIDEO",
+            numFaces: 1,
+            // Expression scores and head pose for the coarse signals
+            outputFaceBlendshapes: true,
+            outputFacialTransformationMatrixes: true,
+          }
+        );
+        if (cancelled) {
+          landmarker.close();
+          return;
+        }
+        landmarkerRef.current = landmarker;
+        setState({ status: "ready", progress: 1, error: null });
+      } finally {
+        URL.revokeObjectURL(loaderUrl);
+        URL.revokeObjectURL(binaryUrl);
+      }
+    }
+
+    load().catch((e) => {
+      if (cancelled) return;
+      console.error("[Face] Failed to load face landmarker:", e);
+      setState({
+        status: "error",
+        progress: 0,
+        error: e?.message || "Failed to initialize face detector.",
+      });
+    });
+
+    return () => {
+      cancelled = true;
+      landmarkerRef.current?.close();
+      landmarkerRef.current = null;
+    };
+  }, [enabled]);
+
+  return { ...state, landmarkerRef };
+}
@@ -0,0 +1,153 @@
+/**
+ * Proximity Feedback Hook
+ * Opt-in sound (Web Audio) and vibration cues for the Move room, so people
+ * on phones notice others nearby without watching the screen.
+ *
+ * `mode` is the study condition ("off" | "sound" | "haptic" | "both"); the
+ * participant still switches it on themselves (audio needs a user gesture).
+ * - setProximity(p): 0 (nobody near) .. 1 (touching); a soft tone follows
+ *   it in volume and pitch
+ * - pulse(strength): short chime and/or vibration, 0..1 scales both
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// Continuous tone: quiet, and only rises a fifth when someone is very close
+const TONE_BASE_HZ = 220;
+const TONE_RISE_HZ = 110;
+const TONE_MAX_GAIN = 0.05;
+// Seconds for the tone to follow proximity changes
+const TONE_SMOOTHING_S = 0.15;
+const CHIME_BASE_HZ = 660;
+const CHIME_MAX_GAIN = 0.12;
+const CHIME_S = 0.3;
+// Vibration length range (ms)
+const VIBRATE_MIN_MS = 10;
+const VIBRATE_MAX_MS = 40;
+// Pulses closer together than this are dropped
+const MIN_PULSE_GAP_MS = 250;
+
+const canPlaySound = () => typeof window.AudioContext === "function";
+const canVibrate = () => typeof navigator.vibrate === "function";
+
+export function useProximityFeedback(mode = "off") {
+  const wantsSound = mode === "sound" || mode === "both";
+  const wantsHaptics = mode === "haptic" || mode === "both";
+  const sound = wantsSound && canPlaySound();
+  const haptics = wantsHaptics && canVibrate();
+
+  // Switched on under which condition. A new condition starts off, even one
+  // switching back to a condition that was on (its audio was stopped).
+  const [enabledMode, setEnabledMode] = useState(null);
+  const [lastMode, setLastMode] = useState(mode);
+  if (lastMode !== mode) {
+    setLastMode(mode);
+    setEnabledMode(null);
+  }
+  const enabled = enabledMode === mode && (sound || haptics);
+  const audioRef = useRef(null); // { ctx, tone, toneGain }
+  const hapticsRef = useRef(false);
+  const lastPulseAtRef = useRef(0);
+
+  const stopAudio = useCallback(() => {
+    const audio = audioRef.current;
+    audioRef.current = null;
+    if (!audio) return;
+    audio.tone.stop();
+    audio.ctx.close().catch(() => {});
+  }, []);
+
+  // Must run from a click/tap handler (browsers block audio otherwise).
+  // Builds the audio graph if there is none (or the browser closed it) and
+  // resumes one the browser suspended.
+  const enable = useCallback(() => {
+    if (audioRef.current?.ctx.state === "closed") audioRef.current = null;
+    if (sound && audioRef.current) {
+      audioRef.current.ctx.resume().catch(() => {});
+    } else if (sound) {
+      const ctx = new AudioContext();
+      const toneGain = ctx.createGain();
+      toneGain.gain.value = 0;
+      toneGain.connect(ctx.destination);
+      const tone = ctx.createOscillator();
+      tone.type = "sine";
+      tone.frequency.value = TONE_BASE_HZ;
+      tone.connect(toneGain);
+      tone.start();
+      audioRef.current = { ctx, tone, toneGain };
+    }
+    hapticsRef.current = haptics;
+    setEnabledMode(mode);
+  }, [mode, sound, haptics]);
+
+  const disable = useCallback(() => {
+    stopAudio();
+    hapticsRef.current = false;
+    setEnabledMode(null);
+  }, [stopAudio]);
+
+  // Study condition changed or room left: everything off
+  useEffect(() => {
+    return () => {
+      stopAudio();
+      hapticsRef.current = false;
+    };
+  }, [mode, stopAudio]);
+
+  const setProximity = useCallback((proximity) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    const t = audio.ctx.currentTime;
+    audio.toneGain.gain.setTargetAtTime(
+      TONE_MAX_GAIN * proximity * proximity,
+      t,
+      TONE_SMOOTHING_S
+    );
+    audio.tone.frequency.setTargetAtTime(
+      TONE_BASE_HZ + TONE_RISE_HZ * proximity,
+      t,
+      TONE_SMOOTHING_S
+    );
+  }, []);
+
+  const pulse = useCallback((strength) => {
+    const now = Date.now();
+    if (now - lastPulseAtRef.current < MIN_PULSE_GAP_MS) return;
+    lastPulseAtRef.current = now;
+
+    const audio = audioRef.current;
+    if (audio) {
+      const t = audio.ctx.currentTime;
+      const gain = audio.ctx.createGain();
+      gain.gain.setValueAtTime(0, t);
+      gain.gain.linearRampToValueAtTime(CHIME_MAX_GAIN * strength, t + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, t + CHIME_S);
+      gain.connect(audio.ctx.destination);
+      const chime = audio.ctx.createOscillator();
+      chime.type = "sine";
+      chime.frequency.value = CHIME_BASE_HZ * (1 + strength / 2);
+      chime.connect(gain);
+      chime.start(t);
+      chime.stop(t + CHIME_S);
+    }
+    if (hapticsRef.current) {
+      navigator.vibrate(
+        Math.round(
+          VIBRATE_MIN_MS + (VIBRATE_MAX_MS - VIBRATE_MIN_MS) * strength
+        )
+      );
+    }
+  }, []);
+
+  return {
+    // Whether this device can give any of the study's feedback
+    available: sound || haptics,
+    sound,
+    haptics,
+    enabled,
+    enable,
+    disable,
+    setProximity,
+    pulse,
+  };
+}
@@ -4,11 +4,34 @@
  * Handles data persistence and export
  */
 
-import { AUTO_SAVE_INTERVAL, DATA_ENDPOINT } from "../config/api";
+import {
+  AUTO_SAVE_INTERVAL,
+  DATA_ENDPOINT,
+  DATA_ENDPOINT_IS_APPS_SCRIPT,
+} from "../config/api";
 import { useCallback, useEffect, useRef, useState } from "react";
 
+import { STUDY_ID, STUDY_LINK_INVALID } from "../config/study";
+import { getRoom } from "../config/zones";
+
 const STORAGE_KEY = "research_session_v4"; // Note: we may add new rooms over time
 
+// Draw-room tools whose use is counted (see Room6Drawing)
+const DRAW_TOOLS = ["pen", "line", "rect", "ellipse", "eraser", "strokeEraser"];
+// Flat field per tool, e.g. "strokeEraser" -> "toolStrokeEraserUses"
+const TOOL_FIELD_NAMES = DRAW_TOOLS.map(
+  (tool) => `tool${tool[0].toUpperCase()}${tool.slice(1)}Uses`
+);
+
+// Room 6 expression counters; `expressionEvents` is their sum
+const FACE_EXPRESSION_FIELDS = [
+  "smileEvents",
+  "browRaiseEvents",
+  "mouthOpenEvents",
+  "nodEvents",
+  "shakeEvents",
+];
+
 // Generate anonymous participant ID
 function generateParticipantId() {
   const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
@@ -23,6 +46,7 @@ function generateParticipantId() {
 function createInitialSession() {
   return {
     participantId: generateParticipantId(),
+    studyId: STUDY_ID,
     sessionStart: new Date().toISOString(),
     sessionEnd: null,
     firstRoom: null,
@@ -57,17 +81,44 @@ function createInitialSession() {
       room4: {
         totalTimeMs: 0,
         strokesCount: 0,
+        eraseActions: 0,
+        undoCount: 0,
+        redoCount: 0,
+        pointerDownMs: 0, // strokes and erase gestures
+        inkLength: 0, // drawing-space units (canvas width = 1000)
+        overlapStrokes: 0, // strokes touching another participant's ink
+        toolUses: {}, // tool -> completed strokes/gestures
         visits: 0,
       },
       room5: {
         totalTimeMs: 0,
         visits: 0,
-        // Room 5: Move (ambient co-presence)
+        // Room 5: Move (ambient co-presence); distances in stage units
+        // (stage width = 1000), counted while our pointer is on the stage
+        distanceMoved: 0,
+        activeMotionMs: 0, // pointer actually moving
+        orbTimeMs: 0, // pointer inside the central orb
+        nearestDistanceMin: null, // to the nearest other cursor
+        nearestDistanceSum: 0, // nearest distance x ms, for the average
+        nearestTimeMs: 0, // time with someone else on the stage
+        approachEvents: 0, // came within reach of someone else
+        multiTouchEvents: 0, // touches with 2+ fingers at once
+        maxTouchPoints: 0, // most fingers on the stage at once
+        jointPushes: 0, // balls pushed together with someone else
+        feedbackMs: 0, // proximity feedback switched on (study condition)
       },
       room6: {
         totalTimeMs: 0,
         visits: 0,
-        // Room 6: Face (local landmarks)
+        // Room 6: Face (local landmarks; no video leaves the device)
+        faceDetectedMs: 0, // a face found in the camera image
+        framesSent: 0, // landmark frames sent to the room
+        // Expression events detected on the device (see FACE_EXPRESSION_FIELDS)
+        smileEvents: 0,
+        browRaiseEvents: 0,
+        mouthOpenEvents: 0,
+        nodEvents: 0,
+        shakeEvents: 0,
       },
     },
 
@@ -82,6 +133,188 @@ function createInitialSession() {
   };
 }
 
+// Apply `update` to the visit in progress (per-visit metrics)
+function updateCurrentVisit(visits, index, update) {
+  if (index < 0 || !visits[index] || visits[index].leaveAt) return visits;
+  const next = [...visits];
+  next[index] = update(visits[index]);
+  return next;
+}
+
+// Add to a room's counters, in the session totals (`metrics[room]`) and the
+// current visit's `visit[visitKey]` counters
+function addRoomCounts(prev, room, visitKey, visitIndex, counts) {
+  const totals = { ...prev.metrics[room] };
+  Object.entries(counts).forEach(([key, n]) => {
+    totals[key] = (totals[key] || 0) + n;
+  });
+  return {
+    ...prev,
+    roomVisits: updateCurrentVisit(prev.roomVisits, visitIndex, (visit) => {
+      const visitCounts = { ...visit[visitKey] };
+      Object.entries(counts).forEach(([key, n]) => {
+        visitCounts[key] = (visitCounts[key] || 0) + n;
+      });
+      return { ...visit, [visitKey]: visitCounts };
+    }),
+    metrics: { ...prev.metrics, [room]: totals },
+  };
+}
+
+// Room 4 counters (visit key `draw`)
+function addDrawCounts(prev, visitIndex, counts) {
+  return addRoomCounts(prev, "room4", "draw", visitIndex, counts);
+}
+
+// Room 6 counters (visit key `face`)
+function addFaceCounts(prev, visitIndex, counts) {
+  return addRoomCounts(prev, "room6", "face", visitIndex, counts);
+}
+
+// Room 5 counters kept as an extreme instead of a sum (null = no value yet)
+const MOVE_EXTREMES = {
+  nearestDistanceMin: Math.min,
+  maxTouchPoints: Math.max,
+};
+
+function pickExtreme(pick, a, b) {
+  if (a === null || a === undefined) return b;
+  if (b === null || b === undefined) return a;
+  return pick(a, b);
+}
+
+// Room 5 counters (visit key `move`); MOVE_EXTREMES keep their extreme,
+// everything else adds up
+function addMoveCounts(prev, visitIndex, counts) {
+  const sums = {};
+  const extremes = {};
+  Object.entries(counts).forEach(([key, n]) => {
+    if (MOVE_EXTREMES[key]) {
+      if (n !== null && n !== undefined) extremes[key] = n;
+    } else {
+      sums[key] = n;
+    }
+  });
+  const next = addRoomCounts(prev, "room5", "move", visitIndex, sums);
+  const withExtremes = (target) => {
+    const merged = { ...target };
+    Object.entries(extremes).forEach(([key, n]) => {
+      merged[key] = pickExtreme(MOVE_EXTREMES[key], target[key], n);
+    });
+    return merged;
+  };
+  return {
+    ...next,
+    roomVisits: updateCurrentVisit(next.roomVisits, visitIndex, (visit) => ({
+      ...visit,
+      move: withExtremes(visit.move),
+    })),
+    metrics: { ...next.metrics, room5: withExtremes(next.metrics.room5) },
+  };
+}
+
+// Room 5 counters as reported: averages instead of the running sums
+function moveSummary(move) {
+  return {
+    distanceMoved: Math.round(move.distanceMoved || 0),
+    activeMotionMs: Math.round(move.activeMotionMs || 0),
+    orbTimeMs: Math.round(move.orbTimeMs || 0),
+    nearestDistanceMin:
+      move.nearestDistanceMin === null || move.nearestDistanceMin === undefined
+        ? null
+        : Math.round(move.nearestDistanceMin),
+    nearestDistanceAvg:
+      move.nearestTimeMs > 0
+        ? Math.round(move.nearestDistanceSum / move.nearestTimeMs)
+        : null,
+    approachEvents: move.approachEvents || 0,
+    multiTouchEvents: move.multiTouchEvents || 0,
+    maxTouchPoints: move.maxTouchPoints || 0,
+    jointPushes: move.jointPushes || 0,
+    feedbackMs: Math.round(move.feedbackMs || 0),
+  };
+}
+
+// Longest string a payload field may carry: a Google Sheets cell holds
+// 50,000 characters, and our server (sessionStore.js) allows the same
+const MAX_FIELD_LENGTH = 50000;
+const CUT_MARK = "…";
+
+// Cut over-long string fields to MAX_FIELD_LENGTH so a long session's upload
+// isn't rejected. Lists (per-visit strings, roomSequence) are cut after a
+// whole entry and end in CUT_MARK; the earliest visits are kept.
+function fitPayloadFields(payload) {
+  const fitted = { ...payload };
+  Object.entries(payload).forEach(([key, value]) => {
+    if (typeof value !== "string" || value.length <= MAX_FIELD_LENGTH) return;
+    const limit = MAX_FIELD_LENGTH - CUT_MARK.length;
+    const separator = key === "roomSequence" ? " → " : "|";
+    const cut = value.lastIndexOf(separator, limit);
+    fitted[key] = `${value.slice(0, cut > 0 ? cut : limit)}${CUT_MARK}`;
+    console.warn(`[Session] ${key} cut to ${MAX_FIELD_LENGTH} characters`);
+  });
+  return fitted;
+}
+
+// Per-visit counters as one flat string, e.g. "2:pen=5,rect=1|4:line=2"
+// (visit number in roomSequence; visits without counters are left out)
+function visitBreakdown(visits, key) {
+  return visits
+    .map((visit, i) =>
+      visit[key]
+        ? `${i + 1}:${Object.entries(visit[key])
+            .map(([name, n]) => `${name}=${Math.round(n)}`)
+            .join(",")}`
+        : null
+    )
+    .filter(Boolean)
+    .join("|");
+}
+
+// Room 5 fields: session totals + per-visit breakdown (a visit without
+// anyone else around has no nearest-distance entries)
+function moveFields(session) {
+  const visits = session.roomVisits.map((visit) => {
+    if (!visit.move) return visit;
+    const summary = moveSummary(visit.move);
+    Object.keys(summary).forEach((key) => {
+      if (summary[key] === null) delete summary[key];
+    });
+    return { ...visit, move: summary };
+  });
+  return {
+    ...moveSummary(session.metrics.room5),
+    moveByVisit: visitBreakdown(visits, "move"),
+  };
+}
+
+// Room 6 fields: session totals + per-visit breakdown
+function faceFields(session) {
+  const face = session.metrics.room6;
+  const fields = {
+    faceDetectedMs: Math.round(face.faceDetectedMs),
+    framesSent: face.framesSent,
+    expressionEvents: 0,
+  };
+  FACE_EXPRESSION_FIELDS.forEach((field) => {
+    fields[field] = face[field] || 0;
+    fields.expressionEvents += fields[field];
+  });
+  fields.faceByVisit = visitBreakdown(session.roomVisits, "face");
+  return fields;
+}
+
+// Tool usage as flat fields: session totals per tool + per-visit breakdown
+function drawToolFields(session) {
+  const totals = session.metrics.room4.toolUses || {};
+  const fields = {};
+  DRAW_TOOLS.forEach((tool, i) => {
+    fields[TOOL_FIELD_NAMES[i]] = totals[tool] || 0;
+  });
+  fields.drawToolsByVisit = visitBreakdown(session.roomVisits, "toolUses");
+  return fields;
+}
+
 function normalizeSession(parsed) {
   const defaults = createInitialSession();
   const metrics = parsed?.metrics || {};
@@ -89,10 +322,11 @@ function normalizeSession(parsed) {
   return {
     ...defaults,
     ...parsed,
-    // If a previously-saved session was in a now-hidden room,
+    // If a previously-saved session was in a room no longer in ROOMS,
     // drop back to lobby instead of rendering an invalid room view.
-    currentRoom:
-      parsed?.currentRoom === 6 ? null : parsed?.currentRoom ?? defaults.currentRoom,
+    currentRoom: getRoom(parsed?.currentRoom)
+      ? parsed.currentRoom
+      : defaults.currentRoom,
     metrics: {
       ...defaults.metrics,
       ...metrics,
@@ -112,7 +346,9 @@ export function useSession() {
       const stored = localStorage.getItem(STORAGE_KEY);
       if (stored) {
         const parsed = JSON.parse(stored);
-        if (!parsed.completed) {
+        // Sessions never carry over between studies (e.g. pilot -> main)
+        const sameStudy = (parsed.studyId || STUDY_ID) === STUDY_ID;
+        if (!parsed.completed && sameStudy) {
           return normalizeSession(parsed);
         }
       }
@@ -355,19 +591,119 @@ export function useSession() {
   );
 
   // Record drawing stroke (Room 4) - marks as interaction
-  const recordStroke = useCallback(() => {
-    recordFirstInteraction();
+  // `durationMs` = pointer down, `inkLength` in drawing-space units,
+  // `overlapsOthers` = touches another participant's stroke
+  const recordStroke = useCallback(
+    ({ durationMs = 0, inkLength = 0, overlapsOthers = false } = {}) => {
+      recordFirstInteraction();
+      setSession((prev) =>
+        addDrawCounts(prev, currentVisitIndexRef.current, {
+          strokesCount: 1,
+          pointerDownMs: durationMs,
+          inkLength,
+          overlapStrokes: overlapsOthers ? 1 : 0,
+        })
+      );
+    },
+    [recordFirstInteraction]
+  );
+
+  // Record an erase action (Room 4): eraser stroke or stroke-eraser gesture,
+  // kept apart from strokesCount - marks as interaction
+  const recordErase = useCallback(
+    ({ durationMs = 0 } = {}) => {
+      recordFirstInteraction();
+      setSession((prev) =>
+        addDrawCounts(prev, currentVisitIndexRef.current, {
+          eraseActions: 1,
+          pointerDownMs: durationMs,
+        })
+      );
+    },
+    [recordFirstInteraction]
+  );
+
+  // Record Room 5 movement, reported in batches by the Move room; any
+  // distance moved or multi-touch marks as interaction
+  const recordMove = useCallback(
+    (counts) => {
+      if (counts.distanceMoved > 0 || counts.multiTouchEvents > 0) {
+        recordFirstInteraction();
+      }
+      setSession((prev) =>
+        addMoveCounts(prev, currentVisitIndexRef.current, counts)
+      );
+    },
+    [recordFirstInteraction]
+  );
+
+  // Record Room 6 face detection, reported in batches by the Face room;
+  // sending landmarks marks as interaction
+  const recordFace = useCallback(
+    (counts) => {
+      if (counts.framesSent > 0) recordFirstInteraction();
+      setSession((prev) =>
+        addFaceCounts(prev, currentVisitIndexRef.current, counts)
+      );
+    },
+    [recordFirstInteraction]
+  );
+
+  // Record a completed stroke/gesture with a Draw tool (Room 4), both for the
+  // session and for the current visit
+  const recordToolUse = useCallback((tool) => {
+    setSession((prev) => ({
+      ...prev,
+      roomVisits: updateCurrentVisit(
+        prev.roomVisits,
+        currentVisitIndexRef.current,
+        (visit) => ({
+          ...visit,
+          toolUses: {
+            ...visit.toolUses,
+            [tool]: (visit.toolUses?.[tool] || 0) + 1,
+          },
+        })
+      ),
+      metrics: {
+        ...prev.metrics,
+        room4: {
+          ...prev.metrics.room4,
+          toolUses: {
+            ...prev.metrics.room4.toolUses,
+            [tool]: (prev.metrics.room4.toolUses[tool] || 0) + 1,
+          },
+        },
+      },
+    }));
+  }, []);
+
+  // Record undo / redo of an own stroke (Room 4)
+  const recordUndo = useCallback(() => {
     setSession((prev) => ({
       ...prev,
       metrics: {
         ...prev.metrics,
         room4: {
           ...prev.metrics.room4,
-          strokesCount: prev.metrics.room4.strokesCount + 1,
+          undoCount: prev.metrics.room4.undoCount + 1,
         },
       },
     }));
-  }, [recordFirstInteraction]);
+  }, []);
+
+  const recordRedo = useCallback(() => {
+    setSession((prev) => ({
+      ...prev,
+      metrics: {
+        ...prev.metrics,
+        room4: {
+          ...prev.metrics.room4,
+          redoCount: prev.metrics.room4.redoCount + 1,
+        },
+      },
+    }));
+  }, []);
 
   // Finish session
   const finishSession = useCallback(async () => {
@@ -460,6 +796,7 @@ export function useSession() {
 
     return {
       participantId: session.participantId,
+      studyId: session.studyId,
       firstRoom: session.firstRoom,
       totalTimeMs: session.totalTimeMs,
       switchesCount: session.switchesCount,
@@ -482,6 +819,20 @@ export function useSession() {
 
       // Room 4 metrics
       strokesCount: m.room4.strokesCount,
+      eraseActions: m.room4.eraseActions,
+      undoCount: m.room4.undoCount,
+      redoCount: m.room4.redoCount,
+      pointerDownMs: m.room4.pointerDownMs,
+      inkLength: Math.round(m.room4.inkLength),
+      overlapStrokes: m.room4.overlapStrokes,
+      drawByVisit: visitBreakdown(session.roomVisits, "draw"),
+      ...drawToolFields(session),
+
+      // Room 5 metrics
+      ...moveFields(session),
+
+      // Room 6 metrics
+      ...faceFields(session),
 
       // Global interaction metrics
       firstInteractionDelayMs: session.firstInteractionDelayMs,
@@ -498,6 +849,7 @@ export function useSession() {
     const exportData = {
       session: {
         participantId: session.participantId,
+        studyId: session.studyId,
         sessionStart: session.sessionStart,
         sessionEnd: session.sessionEnd,
         firstRoom: session.firstRoom,
@@ -530,6 +882,7 @@ export function useSession() {
 
     const headers = [
       "participantId",
+      "studyId",
       "firstRoom",
       "totalTimeMs",
       "switchesCount",
@@ -544,6 +897,31 @@ export function useSession() {
       "messagesSent",
       "avgMessageLength",
       "strokesCount",
+      "eraseActions",
+      "undoCount",
+      "redoCount",
+      "pointerDownMs",
+      "inkLength",
+      "overlapStrokes",
+      "drawByVisit",
+      ...TOOL_FIELD_NAMES,
+      "drawToolsByVisit",
+      "distanceMoved",
+      "activeMotionMs",
+      "orbTimeMs",
+      "nearestDistanceMin",
+      "nearestDistanceAvg",
+      "approachEvents",
+      "multiTouchEvents",
+      "maxTouchPoints",
+      "jointPushes",
+      "feedbackMs",
+      "moveByVisit",
+      "faceDetectedMs",
+      "framesSent",
+      "expressionEvents",
+      ...FACE_EXPRESSION_FIELDS,
+      "faceByVisit",
       "firstInteractionDelayMs",
       "idleTimeWithOthersMs",
       "exitWithoutInteraction",
@@ -552,6 +930,7 @@ export function useSession() {
 
     const values = [
       stats.participantId,
+      stats.studyId,
       stats.firstRoom || "",
       stats.totalTimeMs,
       stats.switchesCount,
@@ -566,6 +945,31 @@ export function useSession() {
       stats.messagesSent,
       stats.avgMessageLength,
       stats.strokesCount,
+      stats.eraseActions,
+      stats.undoCount,
+      stats.redoCount,
+      stats.pointerDownMs,
+      stats.inkLength,
+      stats.overlapStrokes,
+      `"${stats.drawByVisit}"`,
+      ...TOOL_FIELD_NAMES.map((field) => stats[field]),
+      `"${stats.drawToolsByVisit}"`,
+      stats.distanceMoved,
+      stats.activeMotionMs,
+      stats.orbTimeMs,
+      stats.nearestDistanceMin ?? "",
+      stats.nearestDistanceAvg ?? "",
+      stats.approachEvents,
+      stats.multiTouchEvents,
+      stats.maxTouchPoints,
+      stats.jointPushes,
+      stats.feedbackMs,
+      `"${stats.moveByVisit}"`,
+      stats.faceDetectedMs,
+      stats.framesSent,
+      stats.expressionEvents,
+      ...FACE_EXPRESSION_FIELDS.map((field) => stats[field]),
+      `"${stats.faceByVisit}"`,
       stats.firstInteractionDelayMs || "",
       stats.idleTimeWithOthersMs,
       stats.exitWithoutInteraction,
@@ -596,6 +1000,12 @@ export function useSession() {
     recordSpeakingEvent,
     recordMessageSent,
     recordStroke,
+    recordErase,
+    recordMove,
+    recordFace,
+    recordToolUse,
+    recordUndo,
+    recordRedo,
     recordIdleTimeWithOthers,
     hasInteracted,
     finishSession,
@@ -606,10 +1016,42 @@ export function useSession() {
   };
 }
 
-// Post session data to Google Apps Script endpoint
+// Send one payload to the data endpoint and return its acknowledgement
+async function sendPayload(payload) {
+  if (DATA_ENDPOINT_IS_APPS_SCRIPT) {
+    await fetch(DATA_ENDPOINT, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+      mode: "no-cors",
+    });
+    // Opaque response: we only know the request left the browser
+    return { ok: true, confirmed: false };
+  }
+
+  const res = await fetch(DATA_ENDPOINT, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(body.error || `HTTP ${res.status}`);
+  }
+  return {
+    ok: true,
+    confirmed: true,
+    receiptId: body.receiptId,
+    receivedAt: body.receivedAt,
+  };
+}
+
+// Post session data to the configured endpoint (our server or Apps Script).
+// Resolves to an acknowledgement ({ ok, confirmed, receiptId }) or null when
+// no endpoint is configured or the study link is invalid.
 export async function postSessionData(session, feedback = "", isFinal = false) {
-  if (!DATA_ENDPOINT) {
-    return;
+  if (!DATA_ENDPOINT || STUDY_LINK_INVALID) {
+    return null;
   }
 
   const m = session.metrics;
@@ -622,8 +1064,9 @@ export async function postSessionData(session, feedback = "", isFinal = false) {
     (v) => v.exitWithoutInteraction
   ).length;
 
-  const payload = {
+  const payload = fitPayloadFields({
     participantId: session.participantId,
+    studyId: session.studyId || STUDY_ID,
     sessionStart: session.sessionStart,
     sessionEnd: session.sessionEnd,
     firstRoom: session.firstRoom,
@@ -648,6 +1091,20 @@ export async function postSessionData(session, feedback = "", isFinal = false) {
 
     // Room 4
     strokesCount: m.room4.strokesCount,
+    eraseActions: m.room4.eraseActions,
+    undoCount: m.room4.undoCount,
+    redoCount: m.room4.redoCount,
+    pointerDownMs: m.room4.pointerDownMs,
+    inkLength: Math.round(m.room4.inkLength),
+    overlapStrokes: m.room4.overlapStrokes,
+    drawByVisit: visitBreakdown(session.roomVisits, "draw"),
+    ...drawToolFields(session),
+
+    // Room 5
+    ...moveFields(session),
+
+    // Room 6
+    ...faceFields(session),
 
     // Global interaction metrics
     firstInteractionDelayMs: session.firstInteractionDelayMs,
@@ -658,31 +1115,25 @@ export async function postSessionData(session, feedback = "", isFinal = false) {
     feedback: feedback || "",
     isFinal,
     timestamp: new Date().toISOString(),
-  };
+  });
 
   try {
-    await fetch(DATA_ENDPOINT, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-      mode: "no-cors",
-    });
-    console.log("[Session] Data posted to Google Apps Script");
+    const ack = await sendPayload(payload);
+    console.log("[Session] Data posted", ack.receiptId || "");
+    return ack;
   } catch (err) {
     console.error("[Session] Failed to post data:", err);
-    if (isFinal) {
-      setTimeout(async () => {
-        try {
-          await fetch(DATA_ENDPOINT, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(payload),
-            mode: "no-cors",
-          });
-        } catch (retryErr) {
-          console.error("[Session] Retry failed:", retryErr);
-        }
-      }, 3000);
+    if (!isFinal) {
+      return { ok: false, error: err.message };
+    }
+
+    // Final upload: retry once before giving up
+    await new Promise((resolve) => setTimeout(resolve, 3000));
+    try {
+      return await sendPayload(payload);
+    } catch (retryErr) {
+      console.error("[Session] Retry failed:", retryErr);
+      return { ok: false, error: retryErr.message };
     }
   }
 }
@@ -6,13 +6,37 @@
 
 import { useCallback, useEffect, useRef, useState } from "react";
 
+import { STUDY_ID, STUDY_LINK_INVALID } from "../config/study";
 import { WS_URL } from "../config/api";
 
 const RECONNECT_DELAY = 3000;
 const PING_INTERVAL = 30000;
+// How long a finished clear vote's outcome stays visible
+const CLEAR_VOTE_RESULT_MS = 4000;
+// How long the "stroke not saved" notice stays visible
+const STROKE_REJECTED_MS = 4000;
+// How long "Save image" waits for its export ticket
+const EXPORT_TICKET_TIMEOUT_MS = 5000;
+// Recent positions kept per remote cursor (~300 ms at 30 fps), enough for
+// the Move room to interpolate behind its playout delay
+const CURSOR_SAMPLES = 10;
+// Room 6 expression events kept (each animates for a moment, then is done)
+const FACE_EXPRESSIONS_KEPT = 20;
+// Server closes with this when ?study= names a study it doesn't run
+const UNKNOWN_STUDY_CLOSE_CODE = 4004;
+
+// Connection URL carries the study so presence counts are study-scoped from the start
+function getStudySocketUrl() {
+  const url = new URL(WS_URL);
+  url.searchParams.set("study", STUDY_ID);
+  return url.toString();
+}
 
 export function useWebSocket(participantId) {
   const [isConnected, setIsConnected] = useState(false);
+  // The study link is malformed, or names a study the server doesn't run;
+  // nothing connects (App shows an error instead)
+  const [studyRejected, setStudyRejected] = useState(STUDY_LINK_INVALID);
   const [presenceCounts, setPresenceCounts] = useState({
     1: 0,
     2: 0,
@@ -24,13 +48,39 @@ export function useWebSocket(participantId) {
   const [roomUsers, setRoomUsers] = useState([]);
   const [incomingMessages, setIncomingMessages] = useState([]);
   const [drawingStrokes, setDrawingStrokes] = useState([]);
+  // Room 4 oldest strokes, baked by the server into one image (base64 PNG)
+  const [drawingBase, setDrawingBase] = useState(null);
+  // Bumped whenever the server replaces the whole Room 4 canvas (clear or
+  // fresh history), so the room can drop its redo history
+  const [drawingResets, setDrawingResets] = useState(0);
+  // Room 4 strokes others are drawing right now: participantId -> stroke
+  const [liveStrokes, setLiveStrokes] = useState({});
   const [cursorStates, setCursorStates] = useState({});
+  // Room 5 shared balls (server physics): id -> { x, y, radius, samples }
+  const [moveObjects, setMoveObjects] = useState({});
+  // Room 5 joint pushes this participant took part in; only ever grows
+  const [jointPushCount, setJointPushCount] = useState(0);
+  // Open Room 4 "Clear All" vote (null if none); kept briefly with its
+  // `outcome` once it ends
+  const [clearVote, setClearVote] = useState(null);
+  // Room 4 stroke the server refused ({ strokeId, code, detail }), shown
+  // briefly
+  const [rejectedStroke, setRejectedStroke] = useState(null);
+  // Study-level settings from the server (null until received)
+  const [studyConfig, setStudyConfig] = useState(null);
   const [faceStates, setFaceStates] = useState({});
+  // Room 6 expression events, newest last: [{ id, participantId,
+  // expression, receivedAt }]
+  const [faceExpressions, setFaceExpressions] = useState([]);
 
   const wsRef = useRef(null);
   const currentRoomRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
   const pingIntervalRef = useRef(null);
+  const clearVoteTimeoutRef = useRef(null);
+  const rejectedStrokeTimeoutRef = useRef(null);
+  // Pending export ticket request: { resolve, reject }
+  const exportTicketRef = useRef(null);
   const handlersRef = useRef({});
   const participantIdRef = useRef(participantId);
   const connectRef = useRef(null);
@@ -48,6 +98,10 @@ export function useWebSocket(participantId) {
         setPresenceCounts(data.counts);
         break;
 
+      case "study_config":
+        setStudyConfig(data.config || null);
+        break;
+
       case "room_users":
         setRoomUsers(data.users);
         // Notify RTC handler about existing users to connect to
@@ -75,7 +129,7 @@ export function useWebSocket(participantId) {
           }
           return prev;
         });
-        // Also clear any cursor presence for that user (Room 5)
+        // Also clear any cursor presence for that user (Rooms 4 and 5)
         setCursorStates((prev) => {
           if (!prev[data.participantId]) return prev;
           const next = { ...prev };
@@ -88,6 +142,13 @@ export function useWebSocket(participantId) {
           delete next[data.participantId];
           return next;
         });
+        // And any stroke they were in the middle of (Room 4)
+        setLiveStrokes((prev) => {
+          if (!prev[data.participantId]) return prev;
+          const next = { ...prev };
+          delete next[data.participantId];
+          return next;
+        });
         // Notify RTC handler about user leaving with a small delay
         // to avoid premature removal during WebRTC setup
         if (handlersRef.current.onUserLeft) {
@@ -100,18 +161,68 @@ export function useWebSocket(participantId) {
         break;
 
       case "cursor":
-        setCursorStates((prev) => ({
-          ...prev,
-          [data.participantId]: {
-            x: data.x,
-            y: data.y,
-            active: data.active !== false,
-            pointerType: data.pointerType || "unknown",
-            timestamp: data.timestamp || Date.now(),
-          },
-        }));
+        setCursorStates((prev) => {
+          const timestamp = data.timestamp || Date.now();
+          const previous = prev[data.participantId];
+          const samples = previous?.samples || [];
+          const active = data.active !== false;
+          // Multi-touch (Move): a release keeps the last pointers, so their
+          // dots can fade where they were
+          let pointers = data.pointers?.length ? data.pointers : null;
+          if (!pointers && !active) pointers = previous?.pointers || null;
+          return {
+            ...prev,
+            [data.participantId]: {
+              x: data.x,
+              y: data.y,
+              active,
+              pointerType: data.pointerType || "unknown",
+              pointers,
+              timestamp,
+              receivedAt: Date.now(), // local clock, for idle expiry
+              // Server-timestamped, oldest first
+              samples: [
+                ...samples.slice(1 - CURSOR_SAMPLES),
+                {
+                  x: data.x,
+                  y: data.y,
+                  pointers: data.pointers || null,
+                  t: timestamp,
+                },
+              ],
+            },
+          };
+        });
         break;
 
+      case "move_objects": {
+        const timestamp = data.timestamp || Date.now();
+        setMoveObjects((prev) => {
+          const next = {};
+          data.objects.forEach(({ id, x, y }) => {
+            const samples = prev[id]?.samples || [];
+            next[id] = {
+              x,
+              y,
+              radius: data.radius,
+              timestamp,
+              receivedAt: Date.now(),
+              // Server-timestamped, oldest first (as for cursors)
+              samples: [
+                ...samples.slice(1 - CURSOR_SAMPLES),
+                { x, y, t: timestamp },
+              ],
+            };
+          });
+          return next;
+        });
+        const mine = (data.jointPushes || []).filter(({ participants }) =>
+          participants.includes(participantIdRef.current)
+        ).length;
+        if (mine > 0) setJointPushCount((n) => n + mine);
+        break;
+      }
+
       case "face":
         setFaceStates((prev) => ({
           ...prev,
@@ -122,6 +233,20 @@ export function useWebSocket(participantId) {
         }));
         break;
 
+      case "face_expression": {
+        const receivedAt = Date.now();
+        setFaceExpressions((prev) => [
+          ...prev.slice(-(FACE_EXPRESSIONS_KEPT - 1)),
+          {
+            id: `${data.participantId}:${receivedAt}:${data.expression}`,
+            participantId: data.participantId,
+            expression: data.expression,
+            receivedAt,
+          },
+        ]);
+        break;
+      }
+
       // WebRTC signaling
       case "rtc_offer":
         if (handlersRef.current.onRtcOffer) {
@@ -163,14 +288,147 @@ export function useWebSocket(participantId) {
 
       case "draw_stroke":
         setDrawingStrokes((prev) => [...prev, data.stroke]);
+        // The final stroke replaces its live preview
+        setLiveStrokes((prev) => {
+          const live = prev[data.stroke.participantId];
+          if (!live || live.strokeId !== data.stroke.id) return prev;
+          const next = { ...prev };
+          delete next[data.stroke.participantId];
+          return next;
+        });
+        break;
+
+      case "draw_stroke_partial":
+        // Point batch of a stroke still being drawn; batches are kept in
+        // server `seq` order so the preview never zigzags
+        setLiveStrokes((prev) => {
+          const live = prev[data.participantId];
+          const batches =
+            live && live.strokeId === data.strokeId ? live.batches : [];
+          if (batches.some((b) => b.seq === data.seq)) return prev;
+
+          const nextBatches = [
+            ...batches,
+            { seq: data.seq, points: data.points },
+          ];
+          nextBatches.sort((a, b) => a.seq - b.seq);
+
+          return {
+            ...prev,
+            [data.participantId]: {
+              strokeId: data.strokeId,
+              participantId: data.participantId,
+              batches: nextBatches,
+              points: nextBatches.flatMap((b) => b.points),
+              color: data.color,
+              width: data.width,
+              tool: data.tool,
+            },
+          };
+        });
+        break;
+
+      case "draw_stroke_cancel":
+        // The server refused that stroke: its live preview goes away
+        setLiveStrokes((prev) => {
+          const live = prev[data.participantId];
+          if (!live || live.strokeId !== data.strokeId) return prev;
+          const next = { ...prev };
+          delete next[data.participantId];
+          return next;
+        });
         break;
 
       case "drawing_history":
-        setDrawingStrokes(data.strokes);
+        // Full canvas: baked layer, compacted older strokes, then the
+        // recent tail
+        setDrawingBase(data.snapshot?.baked || null);
+        setDrawingResets((n) => n + 1);
+        setDrawingStrokes([
+          ...(data.snapshot?.strokes || []),
+          ...(data.strokes || []),
+        ]);
+        break;
+
+      case "stroke_removed":
+        // Undo by the stroke's author
+        setDrawingStrokes((prev) => prev.filter((s) => s.id !== data.strokeId));
+        break;
+
+      case "strokes_erased": {
+        // Stroke eraser (anyone's strokes)
+        const erased = new Set(data.strokeIds);
+        setDrawingStrokes((prev) => prev.filter((s) => !erased.has(s.id)));
+        break;
+      }
+
+      case "stroke_restored":
+        // Redo: put the stroke back at its original place in canvas order
+        setDrawingStrokes((prev) => {
+          const rest = prev.filter((s) => s.id !== data.stroke.id);
+          const index = rest.findIndex((s) => (s.seq || 0) > data.stroke.seq);
+          if (index === -1) return [...rest, data.stroke];
+          return [...rest.slice(0, index), data.stroke, ...rest.slice(index)];
+        });
         break;
 
       case "clear_drawing":
         setDrawingStrokes([]);
+        setDrawingBase(null);
+        setDrawingResets((n) => n + 1);
+        break;
+
+      case "clear_vote":
+        // Tally of the open vote: yes / no / needed, voters, who voted
+        clearTimeout(clearVoteTimeoutRef.current);
+        setClearVote({
+          voteId: data.voteId,
+          yes: data.yes,
+          no: data.no,
+          needed: data.needed,
+          voters: data.voters || [],
+          voted: data.voted || [],
+          endsAt: data.endsAt,
+          outcome: null,
+        });
+        break;
+
+      case "clear_vote_ended":
+        // Show the outcome for a moment, then hide the prompt
+        setClearVote((prev) => ({
+          ...(prev?.voteId === data.voteId ? prev : { voteId: data.voteId }),
+          outcome: data.outcome,
+        }));
+        clearTimeout(clearVoteTimeoutRef.current);
+        clearVoteTimeoutRef.current = setTimeout(() => {
+          setClearVote((prev) => (prev?.voteId === data.voteId ? null : prev));
+        }, CLEAR_VOTE_RESULT_MS);
+        break;
+
+      case "drawing_export_ticket":
+        exportTicketRef.current?.resolve(data.ticket);
+        break;
+
+      case "error":
+        console.warn("[WS] Server error:", data.code, data);
+        if (data.messageType === "drawing_export_ticket") {
+          exportTicketRef.current?.reject(
+            new Error(data.code || "Export not allowed")
+          );
+        }
+        // A refused stroke never comes back as draw_stroke; say so
+        if (data.messageType === "draw_stroke") {
+          setRejectedStroke({
+            strokeId: data.strokeId || null,
+            code: data.code,
+            detail: data.detail || null,
+          });
+          clearTimeout(rejectedStrokeTimeoutRef.current);
+          rejectedStrokeTimeoutRef.current = setTimeout(
+            () => setRejectedStroke(null),
+            STROKE_REJECTED_MS
+          );
+        }
         break;
 
       case "pong":
@@ -190,7 +448,7 @@ export function useWebSocket(participantId) {
       }
 
       try {
-        const ws = new WebSocket(WS_URL);
+        const ws = new WebSocket(getStudySocketUrl());
 
         ws.onopen = () => {
           console.log("[WS] Connected");
@@ -208,6 +466,7 @@ export function useWebSocket(participantId) {
             ws.send(
               JSON.stringify({
                 type: "join",
+                studyId: STUDY_ID,
                 roomId: currentRoomRef.current,
                 participantId: participantIdRef.current,
               })
@@ -224,7 +483,7 @@ export function useWebSocket(participantId) {
           }
         };
 
-        ws.onclose = () => {
+        ws.onclose = (event) => {
           console.log("[WS] Disconnected");
           setIsConnected(false);
 
@@ -232,6 +491,13 @@ export function useWebSocket(participantId) {
             clearInterval(pingIntervalRef.current);
           }
 
+          // Retrying can't help: the study link itself is wrong
+          if (event.code === UNKNOWN_STUDY_CLOSE_CODE) {
+            console.error(`[WS] Unknown study "${STUDY_ID}", not reconnecting`);
+            setStudyRejected(true);
+            return;
+          }
+
           // Reconnect using the stored reference
           reconnectTimeoutRef.current = setTimeout(() => {
             if (connectRef.current) {
@@ -258,6 +524,12 @@ export function useWebSocket(participantId) {
     // Store connect function in ref for reconnection
     connectRef.current = connect;
 
+    // A malformed study link never connects (it would land in another study)
+    if (STUDY_LINK_INVALID) {
+      console.error("[WS] Invalid ?study= in the link, not connecting");
+      return;
+    }
+
     // Initial connection
     connect();
 
@@ -282,10 +554,15 @@ export function useWebSocket(participantId) {
 
     if (isChangingRoom) {
       setDrawingStrokes([]);
+      setDrawingBase(null);
+      setLiveStrokes({});
+      setClearVote(null);
       setRoomUsers([]);
-      // Cursor states are only used in Move room; reset on room switch
+      // Cursor states belong to one room (Move, or Draw pointers); reset on
+      // room switch
       setCursorStates({});
       setFaceStates({});
+      setFaceExpressions([]);
     }
 
     if (wsRef.current?.readyState === WebSocket.OPEN) {
@@ -293,6 +570,7 @@ export function useWebSocket(participantId) {
       wsRef.current.send(
         JSON.stringify({
           type: "join",
+          studyId: STUDY_ID,
           roomId,
           participantId: participantIdRef.current,
         })
@@ -306,6 +584,9 @@ export function useWebSocket(participantId) {
     setRoomUsers([]);
     setCursorStates({});
     setFaceStates({});
+    setFaceExpressions([]);
+    setLiveStrokes({});
+    setClearVote(null);
 
     if (wsRef.current?.readyState === WebSocket.OPEN) {
       wsRef.current.send(JSON.stringify({ type: "leave" }));
@@ -373,7 +654,39 @@ export function useWebSocket(participantId) {
     }
   }, []);
 
-  // Send cursor / touch position (Room 5)
+  // Stream a batch of points of the stroke being drawn (Room 4)
+  const sendStrokePartial = useCallback((partialData) => {
+    if (wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(
+        JSON.stringify({
+          type: "draw_stroke_partial",
+          ...partialData,
+        })
+      );
+    }
+  }, []);
+
+  // Delete whole strokes touched by the stroke eraser (Room 4)
+  const eraseStrokes = useCallback((strokeIds) => {
+    if (wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({ type: "erase_strokes", strokeIds }));
+    }
+  }, []);
+
+  // Undo / redo one of our own strokes (Room 4); the server broadcasts the result
+  const undoStroke = useCallback((strokeId) => {
+    if (wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({ type: "undo_stroke", strokeId }));
+    }
+  }, []);
+
+  const redoStroke = useCallback((strokeId) => {
+    if (wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({ type: "redo_stroke", strokeId }));
+    }
+  }, []);
+
+  // Send cursor / touch position (Room 5, Room 4 pointers)
   const sendCursor = useCallback((payload) => {
     if (wsRef.current?.readyState === WebSocket.OPEN) {
       wsRef.current.send(
@@ -397,14 +710,63 @@ export function useWebSocket(participantId) {
     }
   }, []);
 
-  // Clear drawing (Room 4)
+  // Send one expression event (Room 6), e.g. "smile" or "nod"
+  const sendFaceExpression = useCallback((expression) => {
+    if (wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(
+        JSON.stringify({
+          type: "face_expression",
+          expression,
+        })
+      );
+    }
+  }, []);
+
+  // Clear drawing (Room 4). What gets cleared, if anything, depends on the
+  // study's clear policy, so the canvas waits for the server's answer.
   const clearDrawing = useCallback(() => {
-    setDrawingStrokes([]);
     if (wsRef.current?.readyState === WebSocket.OPEN) {
       wsRef.current.send(JSON.stringify({ type: "clear_drawing" }));
     }
   }, []);
 
+  // One-time ticket for GET /drawing/export (Room 4 "Save image"); resolves
+  // to the ticket, rejects if the server refuses or doesn't answer
+  const requestExportTicket = useCallback(
+    () =>
+      new Promise((resolve, reject) => {
+        if (wsRef.current?.readyState !== WebSocket.OPEN) {
+          reject(new Error("Not connected"));
+          return;
+        }
+        exportTicketRef.current?.reject(new Error("Superseded"));
+        const timer = setTimeout(
+          () => exportTicketRef.current?.reject(new Error("No export ticket")),
+          EXPORT_TICKET_TIMEOUT_MS
+        );
+        const settle = (fn) => (value) => {
+          clearTimeout(timer);
+          exportTicketRef.current = null;
+          fn(value);
+        };
+        exportTicketRef.current = {
+          resolve: settle(resolve),
+          reject: settle(reject),
+        };
+        wsRef.current.send(JSON.stringify({ type: "drawing_export_ticket" }));
+      }),
+    []
+  );
+
+  // Answer the open clear vote (Room 4)
+  const sendClearVote = useCallback((voteId, approve) => {
+    if (wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(
+        JSON.stringify({ type: "clear_vote", voteId, approve })
+      );
+    }
+  }, []);
+
   // Register event handlers
   const registerHandlers = useCallback((handlers) => {
     handlersRef.current = { ...handlersRef.current, ...handlers };
@@ -426,20 +788,37 @@ export function useWebSocket(participantId) {
 
   return {
     isConnected,
+    studyRejected,
     presenceCounts,
+    studyConfig,
     roomUsers,
     incomingMessages,
     drawingStrokes,
+    drawingBase,
+    drawingResets,
+    liveStrokes,
+    clearVote,
+    rejectedStroke,
     cursorStates,
+    moveObjects,
+    jointPushCount,
     faceStates,
+    faceExpressions,
     joinRoom,
     leaveRoom,
     sendMessage,
     sendRtcSignal,
     sendStroke,
+    sendStrokePartial,
+    eraseStrokes,
+    undoStroke,
+    redoStroke,
     sendCursor,
     sendFace,
+    sendFaceExpression,
     clearDrawing,
+    sendClearVote,
+    requestExportTicket,
     clearMessages,
     registerHandlers,
     getPresenceCount,
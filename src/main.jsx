@@ -2,9 +2,13 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { AdminDashboard } from './components/AdminDashboard.jsx'
+
+// Researcher dashboard lives at /admin (vercel.json rewrites all paths to the SPA)
+const isAdminRoute = window.location.pathname.startsWith('/admin')
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {isAdminRoute ? <AdminDashboard /> : <App />}
   </StrictMode>,
 )
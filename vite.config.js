@@ -1,9 +1,11 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { mediapipeAssets } from "./scripts/mediapipeAssets.js";
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  // mediapipeAssets: Face room WASM + model served from this origin
+  plugins: [react(), mediapipeAssets()],
   server: {
     port: 5173,
     // Proxy WebSocket connections in development